@@ -10,7 +10,7 @@ Set-Location $here
 
 # --- EXPORT TIMING (after cleanup only) ---
 $cleanupDone = $false
-$timingFile  = Join-Path $here ("run_timing_{0}.txt")
+$timingFile  = Join-Path $here ("run_timing_{0}.txt" -f $scriptStart.ToString("yyyyMMdd_HHmmss"))
 
 # Paths
 $myScriptPath = Join-Path $here "my-script.txt"
@@ -0,0 +1,168 @@
+/**
+ * collection-lint.js
+ * ------------------
+ * Static checks of a suite's *.postman_collection.json (run-all.js lint), plus the data
+ * file checks of data-lint.js, so one command reviews a suite before it runs.
+ *
+ *   no-tests          warn   a request with no pm.test(...) of its own or from a folder /
+ *                            the collection: it can only ever pass
+ *   hardcoded-host    warn   a URL host that is not a variable (use {{baseURL}}), so the
+ *                            environment file cannot point the suite elsewhere
+ *   hardcoded-secret  error  a literal value in a secret header (redact.js / redaction.json
+ *                            list), in auth settings, in a secret body field, or a literal
+ *                            "Bearer ..." token
+ *   duplicate-name    error  requests whose names give the same report id (make-suite-report.js
+ *                            idfy: lower case, non-alphanumerics -> "-"); their test cases,
+ *                            payloads and links collide in the suite report
+ *   nesting-depth     warn   a request more than maxDepth folders deep (default 1); suite
+ *                            reports show a single folder level
+ *   disabled-request  info   "disabled": true, or a pre-request script that starts with
+ *                            pm.execution.skipRequest()
+ *
+ * Levels per suite (suites.json, "lint" in an entry or in "defaults"; any data-lint.js rule too):
+ *   "lint": { "no-tests": "off", "hardcoded-host": "error", "maxDepth": 2 }
+ * A level is error, warn, info or off.
+ */
+
+const fs = require("fs");
+const redact = require("./redact");
+const dataLint = require("./data-lint");
+
+const RULES = {
+  "no-tests": "warn",
+  "hardcoded-host": "warn",
+  "hardcoded-secret": "error",
+  "duplicate-name": "error",
+  "nesting-depth": "warn",
+  "disabled-request": "info"
+};
+const ALL_RULES = { ...RULES, ...dataLint.RULES };
+const LEVELS = ["error", "warn", "info", "off"];
+const DEFAULT_MAX_DEPTH = 1;
+
+// Same id rule as make-suite-report.js
+const idfy = s => String(s||'').toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/(^-|-$)/g,'');
+
+const TEST_CALL = /\bpm\.test\s*\(|\btests\s*\[/;
+const SKIP_FIRST = /^\s*(?:(?:\/\/[^\n]*|\/\*[\s\S]*?\*\/)\s*)*pm\.execution\.skipRequest\s*\(/;
+const ONLY_VAR = /^\s*(?:(?:Bearer|Basic|Token)\s+)?\{\{[^{}]+\}\}\s*$/i;
+const AUTH_SECRETS = new Set(["token", "password", "value", "accesstoken", "clientsecret", "client_secret", "secretkey", "refreshtoken"]);
+
+const scriptOf = (it, listen) => (it.event || []).filter(e => e?.listen === listen)
+  .map(e => [].concat(e?.script?.exec || []).join("\n")).join("\n");
+const isLiteral = v => typeof v === "string" && v.trim() !== "" && !ONLY_VAR.test(v);
+
+/** Problems with a suite's "lint" settings (for suite-manifest.js). */
+function lintConfigProblems(cfg){
+  if (cfg == null) return [];
+  if (typeof cfg !== "object" || Array.isArray(cfg)) return ['"lint" must be an object of rule levels'];
+  const out = [];
+  for (const [k, v] of Object.entries(cfg)) {
+    if (k === "maxDepth") { if (!Number.isInteger(v) || v < 0) out.push('"lint.maxDepth" must be a whole number >= 0'); }
+    else if (!ALL_RULES[k]) out.push(`"lint": unknown rule "${k}"`);
+    else if (!LEVELS.includes(v)) out.push(`"lint.${k}" must be one of ${LEVELS.join(", ")}`);
+  }
+  return out;
+}
+
+function urlOf(req){
+  const u = req?.url;
+  if (!u) return "";
+  if (typeof u === "string") return u;
+  if (u.raw) return u.raw;
+  return (u.protocol ? u.protocol + "://" : "") + [].concat(u.host || []).join(".") + "/" + [].concat(u.path || []).join("/");
+}
+const hostOf = url => String(url).trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, "").split(/[/?#]/)[0];
+
+// Secret field names of redaction.json "jsonPaths" ("$.user.token" -> "token")
+const fieldNames = paths => new Set(paths.map(p => String(p).split(/[.[\]]/).filter(Boolean).pop().toLowerCase()));
+
+function secretsIn(holder, where, redaction, fields){
+  const out = [];
+  const req = holder.request || {};
+  const secretHeaders = new Set(redaction.headers.map(h => h.toLowerCase()));
+  for (const h of Array.isArray(req.header) ? req.header : []) {
+    if (h?.key && secretHeaders.has(h.key.toLowerCase()) && isLiteral(String(h.value ?? ""))) {
+      out.push(`header "${h.key}" has a literal value; move it to an environment variable (${where})`);
+    }
+  }
+  for (const auth of [holder.auth, req.auth]) {
+    const params = auth && Array.isArray(auth[auth.type]) ? auth[auth.type] : [];
+    for (const p of params) {
+      if (AUTH_SECRETS.has(String(p?.key).toLowerCase()) && isLiteral(p.value)) out.push(`${auth.type} auth "${p.key}" has a literal value (${where})`);
+    }
+  }
+  const raw = typeof req.body?.raw === "string" ? req.body.raw : "";
+  for (const m of raw.matchAll(/"([^"\\]+)"\s*:\s*"((?:[^"\\]|\\.)*)"/g)) {
+    if (fields.has(m[1].toLowerCase()) && isLiteral(m[2])) out.push(`body field "${m[1]}" has a literal value (${where})`);
+  }
+  if (out.length) return out;
+  // Anything else matching a redaction pattern, e.g. a literal "Bearer eyJ..." anywhere
+  const text = [urlOf(req), ...(Array.isArray(req.header) ? req.header.map(h => h?.value) : []), raw].join("\n");
+  for (const p of redaction.patterns) {
+    const m = String(p).match(/^\/(.+)\/([a-z]*)$/s);
+    let re;
+    try { re = m ? new RegExp(m[1], m[2].includes("g") ? m[2] : m[2] + "g") : new RegExp(p, "g"); } catch { continue; }
+    if ((text.match(re) || []).some(hit => !hit.includes("{{"))) { out.push(`literal value matching ${p} (${where})`); break; }
+  }
+  return out;
+}
+
+/**
+ * collection: parsed JSON; opts: { maxDepth, redaction (redact.js config) }.
+ * Returns [{ level, rule, message }] with the default levels.
+ */
+function lintCollection(collection, opts = {}){
+  const out = [];
+  const add = (rule, message) => out.push({ level: RULES[rule], rule, message });
+  const maxDepth = opts.maxDepth ?? DEFAULT_MAX_DEPTH;
+  const redaction = opts.redaction || redact.DEFAULTS;
+  const fields = fieldNames(redaction.jsonPaths);
+  const ids = new Map();
+
+  for (const s of secretsIn(collection || {}, "(collection)", redaction, fields)) add("hardcoded-secret", s);
+  (function walk(items, names, tested){
+    for (const it of items || []) {
+      const where = [...names, it.name || ""].join(" / ");
+      const hasTests = tested || TEST_CALL.test(scriptOf(it, "test"));
+      if (Array.isArray(it.item)) {
+        for (const s of secretsIn(it, where, redaction, fields)) add("hardcoded-secret", s);
+        walk(it.item, [...names, it.name || ""], hasTests);
+        continue;
+      }
+      if (!hasTests) add("no-tests", `no pm.test assertions (${where})`);
+      const host = hostOf(urlOf(it.request));
+      if (host && !host.includes("{{")) add("hardcoded-host", `host "${host}" is hardcoded; use {{baseURL}} (${where})`);
+      for (const s of secretsIn(it, where, redaction, fields)) add("hardcoded-secret", s);
+      if (names.length > maxDepth) add("nesting-depth", `${names.length} folders deep, suite reports show ${maxDepth} (${where})`);
+      if (it.disabled === true || it.request?.disabled === true) add("disabled-request", `request is disabled (${where})`);
+      else if (SKIP_FIRST.test(scriptOf(it, "prerequest"))) add("disabled-request", `pre-request script always calls pm.execution.skipRequest() (${where})`);
+
+      const id = idfy(it.name || "Request");
+      if (!ids.has(id)) ids.set(id, []);
+      ids.get(id).push({ name: it.name || "Request", where });
+    }
+  })(collection?.item, [], TEST_CALL.test(scriptOf(collection || {}, "test")));
+
+  for (const [id, list] of ids) {
+    if (list.length < 2) continue;
+    const names = [...new Set(list.map(e => e.name))];
+    add("duplicate-name", names.length === 1
+      ? `request name "${names[0]}" is used ${list.length} times (${list.map(e => e.where).join("; ")})`
+      : `request names ${names.map(n => `"${n}"`).join(", ")} share the report id "${id}" (${list.map(e => e.where).join("; ")})`);
+  }
+  return out;
+}
+
+/**
+ * Collection + data checks of a resolved suite ({ suite, collection, environment, data }),
+ * with the suite's "lint" levels applied. root: project root (redaction.json).
+ */
+function lintSuite(root, job){
+  const cfg = job.suite.lint || {};
+  const collection = JSON.parse(fs.readFileSync(job.collection, "utf8"));
+  const findings = lintCollection(collection, { maxDepth: cfg.maxDepth, redaction: redact.loadConfig(root) });
+  return [...dataLint.applyLevels(findings, cfg), ...dataLint.lintSuite(job)];
+}
+
+module.exports = { RULES, ALL_RULES, LEVELS, lintConfigProblems, lintCollection, lintSuite };
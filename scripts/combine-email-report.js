@@ -1,24 +1,51 @@
 #!/usr/bin/env node
 /**
- * combine-email-report.js (yellow highlight for "+ --> Failing")
- * --------------------------------------------------------------
- * - Finds per-suite HTMLs in Temp (both *_latest.html and *_YYYYMMDD_HHMMSS.html)
- * - Parses folder/API execution rows (tolerates badges/spans)
- * - Aggregates totals and renders combined report (same structure as before)
- * - NEW: If any assertion name includes "+ --> Failing" (or "+ --&gt; Failing"),
- *        the corresponding API row is rendered with a yellow background.
+ * combine-email-report.js
+ * -----------------------
+ * - Reads every suite result in Temp (<Module>_latest.json sidecars from
+ *   make-suite-report.js; HTML scraping only for legacy HTMLs without one)
+ * - Writes the combined report, the email bodies, run-summary.json and the
+ *   JUnit / CTRF / results exports to EmailReports\<date>\
+ * - Appends the run to History\run-history.jsonl and evaluates the quality gates:
+ *   exit code 2 when a gate fails, 1 when there is no suite result at all
  *
- * NOTE: No DOM structure changes—only conditional inline style on <tr>.
+ * Usage:
+ *   node combine-email-report.js [--trend-runs <n>] [--no-history] [--baseline <runId|date>] [--exclude-flaky]
+ *                                [--gates <file>] [--no-gates] [--xlsx] [--expect-suites <Parent/Module[@env],...>]
  */
 
 const fs = require("fs");
 const path = require("path");
+const history = require("./run-history");
+const { lineChart, sparkline, barChart } = require("./svg-charts");
+const runDiff = require("./run-diff");
+const { toJUnitXml, toCtrf, resultsTable, toCsv } = require("./report-export");
+const { writeXlsx } = require("./xlsx");
+const { countByCategory } = require("./failure-category");
+const gates = require("./quality-gates");
 
 // ---- Paths (edit if your root moved) ----
 const ROOT = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
 const TEMP_ROOT = path.join(ROOT, "Temp");
 const EMAIL_ROOT = path.join(ROOT, "EmailReports");
 
+// ---- Args ----
+const ARGV = process.argv.slice(2);
+const argValue = (name, dflt) => { const i = ARGV.indexOf(name); return i >= 0 && ARGV[i + 1] != null ? ARGV[i + 1] : dflt; };
+const TREND_RUNS = Math.max(2, parseInt(argValue("--trend-runs", "14"), 10) || 14);
+const RECORD_HISTORY = !ARGV.includes("--no-history");
+const BASELINE = argValue("--baseline", null);
+const EXCLUDE_FLAKY = ARGV.includes("--exclude-flaky");
+const XLSX = ARGV.includes("--xlsx");
+// Parent/Module[@env] ids run-all.js started; a missing result fails the quality gates
+const EXPECTED = argValue("--expect-suites", null)?.split(",").map(s => s.trim()).filter(Boolean) || null;
+
+let GATES;
+try { GATES = ARGV.includes("--no-gates") ? null : gates.loadGates(ROOT, argValue("--gates", null)); }
+catch (e) { console.error("[combine] Failed to read quality gates:", e.message); process.exit(1); }
+// Without gates.json the expected-suites check still runs (unless --no-gates)
+if (!GATES && EXPECTED && !ARGV.includes("--no-gates")) GATES = {};
+
 // ---- Helpers ----
 const today = () => new Date().toISOString().slice(0, 10);
 const esc = s => String(s ?? '')
@@ -26,6 +53,7 @@ const esc = s => String(s ?? '')
   .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 const fmt = n => Number.isFinite(n) ? n.toLocaleString() : (n == null ? '—' : String(n));
 const pctStr = (num, den) => den > 0 ? Math.round((num / den) * 100) + "%" : "0%";
+const pctNum = (num, den) => den > 0 ? Math.round((num / den) * 100) : 0;
 const slug = s => String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
 const escapeRegExp = s => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
@@ -47,7 +75,15 @@ function extractParent(htmlText) {
   return (htmlText.match(/<meta name="suite-parent" content="([^"]+)"/i) || [])[1] || "Parent";
 }
 function extractModule(htmlText) {
-  return (htmlText.match(/<meta name="suite-module" content="([^"]+)"/i) || [])[1] || "Module";
+  const module = (htmlText.match(/<meta name="suite-module" content="([^"]+)"/i) || [])[1] || "Module";
+  const env = (htmlText.match(/<meta name="suite-env" content="([^"]+)"/i) || [])[1];
+  return env ? `${module} [${env}]` : module;
+}
+// Parent/Module[@env], as run-all.js --expect-suites lists them
+function suiteIdOf(result, htmlText) {
+  if (result) return `${result.meta?.parent}/${result.meta?.module}` + (result.meta?.environment ? "@" + result.meta.environment : "");
+  const raw = name => (htmlText.match(new RegExp(`<meta name="suite-${name}" content="([^"]+)"`, "i")) || [])[1];
+  return `${raw("parent") || "Parent"}/${raw("module") || "Module"}` + (raw("env") ? "@" + raw("env") : "");
 }
 function extractSuiteApis(htmlText) {
   // <script type="application/json" id="suite-apis">["Api A","Api B", ...]</script>
@@ -65,7 +101,7 @@ function extractSuiteApis(htmlText) {
 function parseSuiteRows(htmlText) {
   const parent = extractParent(htmlText);
   const module = extractModule(htmlText);
-  const re = /<tr[^>]*>\s*<td>(.*?)<\/td>\s*<td[^>]*>(?:<span[^>]*>)?(\d+)(?:<\/span>)?<\/td>\s*<td[^>]*>(?:<span[^>]*>)?(\d+)(?:<\/span>)?<\/td>\s*<td[^>]*>(\d+)<\/td>\s*<td[^>]*>(\d+(?:\.\d+)?)\s*%?\s*<\/td>\s*<td[^>]*>([\d,\.]+)\s*<\/td>\s*<\/tr>/gi;
+  const re = /<tr[^>]*>\s*<td>(.*?)<\/td>\s*<td[^>]*>(?:<span[^>]*>)?(\d+)(?:<\/span>)?<\/td>\s*<td[^>]*>(?:<span[^>]*>)?(\d+)(?:<\/span>)?<\/td>\s*<td[^>]*>(\d+)<\/td>\s*<td[^>]*>(\d+(?:\.\d+)?)\s*%?\s*<\/td>\s*<td[^>]*>([\d,\.]+)\s*<\/td>((?:\s*<td[^>]*>(?:<span[^>]*>)?\d+(?:<\/span>)?<\/td>)*)\s*<\/tr>/gi;
 
   const rows = [];
   let m;
@@ -74,6 +110,8 @@ function parseSuiteRows(htmlText) {
     let cell = m[1].replace(/<span[^>]*class=["'][^"']*badge[^"']*["'][^>]*>.*?<\/span>/gi, "");
     let api = cell.replace(/<[^>]*>/g, "").trim();
     api = api.replace(/\s+\d+$/, "");
+    // Newer suite HTMLs: Skipped / Not Run / Known Issues cells after Avg
+    const extra = (m[7] || "").replace(/<[^>]*>/g, " ").trim().split(/\s+/).filter(Boolean).map(Number);
 
     rows.push({
       parent,
@@ -83,7 +121,10 @@ function parseSuiteRows(htmlText) {
       fail: Number(m[3]),
       total: Number(m[4]),
       passPct: Number(m[5]),
-      avg: Number(String(m[6]).replace(/,/g, ""))
+      avg: Number(String(m[6]).replace(/,/g, "")),
+      skipped: extra[0] || 0,
+      notRun: extra[1] || 0,
+      known: extra[2] || 0
     });
   }
   return rows;
@@ -138,10 +179,114 @@ function detectSoftFailApis(htmlText, fallbackRows) {
   return flagged;
 }
 
+// ---- Suite result sidecar (preferred source) ----
+const RESULT_SCHEMA = "suite-result";
+const RESULT_MAX_VERSION = 1;
+const SOFT_MARK = /\+\s*-->\s*Failing/i;
+
+// X_latest.html -> X_latest.json (null when missing / unreadable / unknown version)
+function readSuiteResult(file) {
+  const jsonFile = file.replace(/\.html$/i, ".json");
+  if (!fs.existsSync(jsonFile)) return null;
+  try {
+    const r = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+    if (r?.schema !== RESULT_SCHEMA) return null;
+    if (!(r.version <= RESULT_MAX_VERSION)) {
+      console.warn(`[combine] ${path.basename(jsonFile)}: result version ${r.version} not supported, using HTML`);
+      return null;
+    }
+    return r;
+  } catch (e) {
+    console.warn(`[combine] ${path.basename(jsonFile)}: ${e.message}, using HTML`);
+    return null;
+  }
+}
+
+// Same shape as the HTML path: { parent, module, rows, apis, softApis, resp, flaky }
+function suiteFromResult(result) {
+  const parent = result.meta?.parent || "Parent";
+  const module = (result.meta?.module || "Module") + (result.meta?.environment ? ` [${result.meta.environment}]` : "");
+  const folders = result.folders || [];
+  const flakyCases = (result.testCases || []).filter(tc => tc.flaky && (tc.result === "Pass" || tc.result === "Fail"));
+  const flakyFailsIn = f => flakyCases.filter(tc => tc.group === f.group && tc.result === "Fail").length;
+  const rows = folders.map(f => {
+    const drop = EXCLUDE_FLAKY ? flakyFailsIn(f) : 0;
+    const total = Math.max(0, (f.total || 0) - drop);
+    const fail = Math.max(0, (f.fail || 0) - drop);
+    return {
+      parent,
+      module,
+      api: f.pretty,
+      pass: f.pass || 0,
+      fail,
+      total,
+      // same (total - fail) / total as the sidecar, so Known Issue / skipped cases stay in
+      passPct: drop ? pctNum(total - fail, total) : (f.passPct || 0),
+      avg: f.avgMs || 0,
+      skipped: f.skipped || 0,
+      notRun: f.notRun || 0,
+      known: f.known || 0,
+      retryPassed: f.retryPassed || 0,
+      ...(f.latency || {})
+    };
+  });
+
+  const softApis = new Set();
+  for (const tc of result.testCases || []) {
+    if (tc.result !== "Known Issue" && !(tc.checks || []).some(c => SOFT_MARK.test(c.name))) continue;
+    const folder = folders.find(f => f.group === tc.group);
+    if (folder) softApis.add(folder.pretty);
+  }
+  const resp = (result.testCases || [])
+    .filter(tc => (tc.result === "Pass" || tc.result === "Passed on retry" || tc.result === "Fail") && Number.isFinite(tc.respMs))
+    .map(tc => tc.respMs);
+  const flaky = { cases: flakyCases.length, failed: flakyCases.filter(tc => tc.result === "Fail").length };
+  const notExecuted = (result.testCases || [])
+    .filter(tc => tc.result === "Skipped" || tc.result === "Not Run")
+    .map(tc => ({
+      api: (folders.find(f => f.group === tc.group) || {}).pretty || tc.group,
+      status: tc.result,
+      reason: tc.reason || tc.result
+    }));
+  const known = (result.testCases || [])
+    .filter(tc => tc.result === "Known Issue")
+    .flatMap(tc => (tc.knownIssues || [{ check: "", reason: "Known issue", ticket: "" }]).map(k => ({
+      api: (folders.find(f => f.group === tc.group) || {}).pretty || tc.group,
+      status: "Known Issue",
+      reason: k.reason + (k.check ? ": " + k.check : "") + (k.ticket ? ` (${k.ticket})` : "")
+    })));
+  const isFailed = tc => tc.result === "Fail" || (tc.result === "Known Issue" && !!result.totals?.knownCountedAsFailure);
+  const failures = (result.testCases || [])
+    .filter(tc => isFailed(tc) && !(EXCLUDE_FLAKY && tc.flaky))
+    .map(tc => ({
+      api: (folders.find(f => f.group === tc.group) || {}).pretty || tc.group,
+      category: tc.category || "Uncategorized"
+    }));
+  return { parent, module, rows, apis: result.apis || [], softApis, resp, flaky, notExecuted, known, failures };
+}
+
+// Legacy: scrape the rendered per-suite HTML
+function suiteFromHtml(html) {
+  const rows = parseSuiteRows(html);
+  return {
+    parent: extractParent(html),
+    module: extractModule(html),
+    rows,
+    apis: extractSuiteApis(html),
+    softApis: detectSoftFailApis(html, rows),
+    resp: [],  // no per-case timings in the HTML; percentiles stay empty
+    flaky: { cases: 0, failed: 0 },
+    notExecuted: [],
+    known: [],
+    failures: []   // categories need the sidecar
+  };
+}
+
 // ---- Aggregation ----
 function aggregateApiStatsFromRows(rows) {
   const keyMap = new Map(); // key => {passSum, failSum, totalSum}
   for (const r of rows) {
+    if (!(r.total > 0)) continue;   // only skipped / not run: not an executed API
     const key = `${r.parent}|${r.module}|${r.api}`;
     const cur = keyMap.get(key) || { passSum: 0, failSum: 0, totalSum: 0 };
     cur.passSum += r.pass || 0;
@@ -157,14 +302,73 @@ function aggregateApiStatsFromRows(rows) {
   return { unique, passed, failed, rate };
 }
 function aggregateCaseStats(rows) {
-  let pass = 0, fail = 0, total = 0;
+  let pass = 0, fail = 0, total = 0, skipped = 0, notRun = 0, known = 0, retryPassed = 0;
   for (const r of rows) {
     pass += r.pass || 0;
     fail += r.fail || 0;
     total += r.total || ((r.pass || 0) + (r.fail || 0));
+    skipped += r.skipped || 0;
+    notRun += r.notRun || 0;
+    known += r.known || 0;
+    retryPassed += r.retryPassed || 0;
+  }
+  // Known Issues are in total but only in fail when counted as failures
+  const rate = pctStr(total - fail, total);
+  return { total, pass, fail, rate, skipped, notRun, known, retryPassed };
+}
+
+// ---- History record ----
+// Row-weighted average; percentiles need per-case timings (result sidecars only)
+function statsBlock(rows, apiDisp, resp) {
+  const cases = aggregateCaseStats(rows);
+  let msSum = 0, msCnt = 0;
+  for (const r of rows) if (Number.isFinite(r.avg) && r.total > 0) { msSum += r.avg * r.total; msCnt += r.total; }
+  const rs = history.respSummary(resp);
+  return {
+    apis: { unique: apiDisp.unique, passed: apiDisp.passed, failed: apiDisp.failed },
+    apiPct: pctNum(apiDisp.passed, apiDisp.unique),
+    cases: { total: cases.total, pass: cases.pass, fail: cases.fail, skipped: cases.skipped, notRun: cases.notRun, known: cases.known, retryPassed: cases.retryPassed },
+    casePct: pctNum(cases.total - cases.fail, cases.total),
+    avgMs: rs.avgMs != null ? rs.avgMs : (msCnt ? Math.round(msSum / msCnt) : null),
+    p50: rs.p50, p90: rs.p90, p95: rs.p95
+  };
+}
+
+function trendLabel(run) {
+  const d = new Date(run.runId);
+  return isNaN(d) ? String(run.date || "") : `${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")} ${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+// Previous run by default; otherwise the latest run whose runId starts with the given value
+function pickBaseline(runs, wanted) {
+  if (!runs.length) return null;
+  if (!wanted || wanted === "prev") return runs[runs.length - 1];
+  const hits = runs.filter(r => String(r.runId).startsWith(wanted) || r.date === wanted);
+  return hits.length ? hits[hits.length - 1] : null;
+}
+
+function trendsSection(runs) {
+  if (runs.length < 2) {
+    return '<section class="section"><h3>Trends</h3><div style="color:#64748b">Trends appear once at least two runs are in the history.</div></section>';
   }
-  const rate = pctStr(pass, total);
-  return { total, pass, fail, rate };
+  const labels = runs.map(trendLabel);
+  const pick = f => runs.map(r => { const v = f(r); return Number.isFinite(v) ? v : null; });
+  return [
+    '<section class="section">',
+    '<h3>Trends — last ', String(runs.length), ' runs</h3>',
+    '<div class="trends">',
+    '<div>', lineChart(labels, [
+      { label: 'Pass API %', values: pick(r => r.grand?.apiPct) },
+      { label: 'Pass Test Case %', values: pick(r => r.grand?.casePct) }
+    ], { title: 'Pass rate', yMax: 100, unit: '%' }), '</div>',
+    '<div>', lineChart(labels, [
+      { label: 'Avg (ms)', values: pick(r => r.grand?.avgMs) },
+      { label: 'p90 (ms)', values: pick(r => r.grand?.p90) },
+      { label: 'p95 (ms)', values: pick(r => r.grand?.p95) }
+    ], { title: 'Response time (ms)' }), '</div>',
+    '</div>',
+    '</section>'
+  ].join('');
 }
 
 // ---- Tile renderers (structure unchanged) ----
@@ -186,6 +390,70 @@ function tilesAPIs(unique, passed, failed, rate) {
     '</div>'
   ].join('');
 }
+function tilesOTHER(caseStats) {
+  return [
+    '<div class="tiles">',
+    tile('Skipped Test Cases', caseStats.skipped, '#F0F9FF', '#BAE6FD'),
+    tile('Not Run Test Cases', caseStats.notRun, '#F8FAFC', '#E2E8F0'),
+    tile('Known Issues', caseStats.known, '#FFF7C2', '#FDE68A'),
+    tile('Passed on Retry', caseStats.retryPassed, '#ECFDF5', '#A7F3D0'),
+    '</div>'
+  ].join('');
+}
+function tilesFLAKY(cases, failed) {
+  return [
+    '<div class="tiles">',
+    tile('Flaky Test Cases', cases, '#F5F3FF', '#DDD6FE'),
+    tile(EXCLUDE_FLAKY ? 'Flaky Failures (excluded)' : 'Flaky Failures', failed, '#F5F3FF', '#DDD6FE'),
+    '</div>'
+  ].join('');
+}
+
+// Cases grouped by parent, module, API, status and reason (Skipped / Not Run, Known Issues)
+function reasonTable(list, inline, emptyText) {
+  if (!list.length) return '<div style="color:#64748b">' + esc(emptyText) + '</div>';
+  const groups = new Map();
+  for (const e of list) {
+    const key = [e.parent, e.module, e.api, e.status, e.reason].join('|');
+    const g = groups.get(key) || { ...e, count: 0 };
+    g.count++;
+    groups.set(key, g);
+  }
+  const th = inline ? ' style="border:1px solid #ddd;padding:6px 8px;text-align:left;background:#f3f4f6"' : '';
+  const td = inline ? ' style="border:1px solid #ddd;padding:6px 8px;text-align:left"' : '';
+  return [
+    '<table><thead><tr>',
+    ['Parent', 'Module', 'API / Folder', 'Status', 'Reason', 'Test Cases'].map(h => `<th${th}>${h}</th>`).join(''),
+    '</tr></thead><tbody>',
+    [...groups.values()].sort((a, b) => [a.parent, a.module, a.api].join('|').localeCompare([b.parent, b.module, b.api].join('|')))
+      .map(g => `<tr><td${td}>${esc(g.parent)}</td><td${td}>${esc(g.module)}</td><td${td}>${esc(g.api)}</td><td${td}>${esc(g.status)}</td><td${td}>${esc(g.reason)}</td><td${td}>${fmt(g.count)}</td></tr>`).join(''),
+    '</tbody></table>'
+  ].join('');
+}
+
+// Failed cases of one parent per category: [chart +] table with the modules / APIs involved
+function categorySection(list, inline, failedCount) {
+  if (!list.length) {
+    return '<div style="color:#64748b">' + (failedCount ? 'No categories: these suites have no result sidecar.' : 'No failed test cases.') + '</div>';
+  }
+  const cats = countByCategory(list.map(e => e.category));
+  const th = inline ? ' style="border:1px solid #ddd;padding:6px 8px;text-align:left;background:#f3f4f6"' : '';
+  const td = inline ? ' style="border:1px solid #ddd;padding:6px 8px;text-align:left"' : '';
+  const where = label => {
+    const counts = new Map();
+    for (const e of list) if (e.category === label) counts.set(`${e.module} / ${e.api}`, (counts.get(`${e.module} / ${e.api}`) || 0) + 1);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([k, n]) => `${esc(k)} (${fmt(n)})`).join(', ');
+  };
+  return [
+    inline ? '' : barChart(cats.map(c => c.label), cats.map(c => c.count), { title: 'Failures by Category', color: '#dc2626' }),
+    '<table><thead><tr>',
+    ['Category', 'Failed Test Cases', 'Share', 'Module / API (failed cases)'].map(h => `<th${th}>${h}</th>`).join(''),
+    '</tr></thead><tbody>',
+    cats.map(c => `<tr><td${td}>${esc(c.label)}</td><td${td}>${fmt(c.count)}</td><td${td}>${pctStr(c.count, list.length)}</td><td${td}>${where(c.label)}</td></tr>`).join(''),
+    '</tbody></table>'
+  ].join('');
+}
+
 function tilesCASES(total, pass, fail, rate) {
   return [
     '<div class="tiles">',
@@ -224,6 +492,8 @@ thead,tbody,tr{display:table;width:100%;table-layout:fixed}
 th,td{border:1px solid var(--line);padding:8px;text-align:left;word-wrap:break-word}
 th{background:#f1f5f9}
 .footer{color:#64748b;font-size:12px;margin-top:18px}
+.trends{display:grid;grid-template-columns:repeat(2,minmax(0,1fr));gap:16px}
+@media (max-width: 1024px){ .trends{grid-template-columns:1fr} }
 @media (max-width: 1024px){ .tiles{grid-template-columns:repeat(2,minmax(160px,1fr))} .tile .val{font-size:22px} }
 @media (max-width: 640px){ .tiles{grid-template-columns:1fr} .wrap{padding:12px} .kpi{padding:12px} .tile{padding:12px} .tile .val{font-size:20px} }
 @media print {.actions{display:none} table{display:table} thead,tbody,tr{display:table-row} }
@@ -233,28 +503,48 @@ th{background:#f1f5f9}
 (function main() {
   const picked = findSuiteHtmls(TEMP_ROOT);
   if (!picked.length) {
-    console.log("[combine] No per-suite HTML files found in Temp.");
+    console.error("[combine] No per-suite HTML files found in Temp.");
+    process.exitCode = 1;
     return;
   }
+  const foundIds = new Set();
 
   const allRows = [];
   const grandUniqueSet = new Set();             // union by parent|api
   const uniqueByParent = new Map();             // parent -> Set(api)
   const softFailKeySet = new Set();             // parent|module|api keys with "+ --> Failing" seen
   const softFailByParent = new Map();           // parent -> Set(api) (for convenience)
-
-  // Parse all suite files
+  const respByParent = new Map();               // parent -> [ms] (result sidecars only)
+  const respByModule = new Map();               // parent|module -> [ms]
+  const flakyTotals = { cases: 0, failed: 0 };
+  const suiteResults = [];                      // sidecars, for the JUnit / CTRF exports
+  const notExecuted = [];                       // skipped / not run cases with their reason
+  const knownList = [];                         // known issue cases with their reason
+  const failuresByParent = new Map();           // parent -> [{ module, api, category }]
+
+  // Parse all suite files (result sidecar first, HTML scraping as fallback)
   for (const file of picked) {
-    const html = fs.readFileSync(file, "utf8");
-
-    const rows = parseSuiteRows(html);
+    const result = readSuiteResult(file);
+    if (!result) console.log("[combine] No result sidecar, scraping HTML:", path.basename(file));
+    else suiteResults.push(result);
+    const html = result ? null : fs.readFileSync(file, "utf8");
+    const suite = result ? suiteFromResult(result) : suiteFromHtml(html);
+    foundIds.add(suiteIdOf(result, html));
+
+    const { rows, parent, softApis } = suite;
     allRows.push(...rows);
-
-    const parent = extractParent(html);
-    const module = extractModule(html);
-
-    // Determine which APIs in THIS file had "+ --> Failing"
-    const softApis = detectSoftFailApis(html, rows);
+    flakyTotals.cases += suite.flaky.cases;
+    flakyTotals.failed += suite.flaky.failed;
+    for (const e of suite.notExecuted) notExecuted.push({ parent, module: suite.module, ...e });
+    for (const e of suite.known) knownList.push({ parent, module: suite.module, ...e });
+    if (!failuresByParent.has(parent)) failuresByParent.set(parent, []);
+    for (const e of suite.failures) failuresByParent.get(parent).push({ module: suite.module, ...e });
+
+    if (!respByParent.has(parent)) respByParent.set(parent, []);
+    respByParent.get(parent).push(...suite.resp);
+    const modKey = `${parent}|${suite.module}`;
+    if (!respByModule.has(modKey)) respByModule.set(modKey, []);
+    respByModule.get(modKey).push(...suite.resp);
 
     // Record into sets
     if (!softFailByParent.has(parent)) softFailByParent.set(parent, new Set());
@@ -267,7 +557,7 @@ th{background:#f1f5f9}
     }
 
     // Unique (by parent|name) for correct counting
-    const apis = extractSuiteApis(html);
+    const apis = suite.apis;
     const apiList = apis.length ? apis : Array.from(new Set(rows.map(r => r.api).filter(Boolean)));
     if (!uniqueByParent.has(parent)) uniqueByParent.set(parent, new Set());
     const pset = uniqueByParent.get(parent);
@@ -294,6 +584,68 @@ th{background:#f1f5f9}
   const grandApiDisp = { unique: grandUnique, passed: grandPassed, failed: grandFailed, rate: pctStr(grandPassed, grandUnique) };
   const grandCase = aggregateCaseStats(allRows);
 
+  // ---- History (this run + last N-1) ----
+  const parentApiDisp = parent => {
+    const pApiRows = aggregateApiStatsFromRows(rowsByParent[parent]);
+    const pUnique = (uniqueByParent.get(parent) || new Set()).size || pApiRows.unique;
+    return { unique: pUnique, passed: pApiRows.passed, failed: Math.max(0, pUnique - pApiRows.passed) };
+  };
+  const runRecord = {
+    runId: new Date().toISOString(),
+    date: today(),
+    grand: statsBlock(allRows, grandApiDisp, [...respByParent.values()].flat()),
+    parents: {},
+    modules: {},
+    apis: {}
+  };
+  for (const parent of Object.keys(rowsByParent)) {
+    runRecord.parents[parent] = statsBlock(rowsByParent[parent], parentApiDisp(parent), respByParent.get(parent) || []);
+  }
+  const rowsByModuleKey = {};
+  for (const r of allRows) (rowsByModuleKey[`${r.parent}|${r.module}`] = rowsByModuleKey[`${r.parent}|${r.module}`] || []).push(r);
+  for (const [key, rows] of Object.entries(rowsByModuleKey)) {
+    runRecord.modules[key] = statsBlock(rows, aggregateApiStatsFromRows(rows), respByModule.get(key) || []);
+  }
+  for (const r of allRows) {
+    runRecord.apis[`${r.parent}|${r.module}|${r.api}`] = { pass: r.pass, fail: r.fail, total: r.total, passPct: r.passPct, avgMs: r.avg };
+  }
+
+  const allRuns = history.readRuns(ROOT);
+  const pastRuns = allRuns.slice(-(TREND_RUNS - 1));
+
+  const baselineRun = pickBaseline(allRuns, BASELINE);
+  if (BASELINE && !baselineRun) console.warn(`[combine] Baseline run not found in history: ${BASELINE}`);
+  const diff = baselineRun ? runDiff.diffApiMaps(baselineRun.apis || {}, runRecord.apis) : null;
+  const diffTitle = "Changes since " + (BASELINE && BASELINE !== "prev" ? "baseline run" : "previous run");
+  const diffLabel = baselineRun ? `run ${baselineRun.runId}` : "";
+  const diffBody = diff
+    ? runDiff.diffHtml(diff, { baselineLabel: diffLabel })
+    : '<div style="color:#64748b">No earlier run in the history to compare with.</div>';
+
+  // ---- Quality gates
+  const slaSuites = suiteResults.filter(r => Number.isFinite(r.totals?.withinSla));
+  const gateResults = GATES ? gates.evaluateGates(GATES, {
+    apis: grandApiDisp,
+    cases: grandCase,
+    parents: Object.fromEntries(Object.entries(runRecord.parents).map(([p, s]) => [p, { failed: s.cases.fail }])),
+    sla: slaSuites.length ? {
+      within: slaSuites.reduce((n, r) => n + r.totals.withinSla, 0),
+      cases: slaSuites.reduce((n, r) => n + (r.totals.cases || 0), 0)
+    } : null,
+    // newly failing, or new in this run and failing
+    newFailures: diff ? [...diff.newFailures, ...diff.newApis.filter(e => runDiff.apiStatus(e.after) === "fail")] : null,
+    suites: EXPECTED ? { expected: EXPECTED.length, missing: EXPECTED.filter(id => !foundIds.has(id)) } : null
+  }) : [];
+  const gateSection = GATES ? '<section class="section"><h3>Quality Gates</h3>' + gates.gatesHtml(gateResults) + '</section>' : '';
+
+  if (GATES) runRecord.gates = { passed: !gates.gatesFailed(gateResults) };
+  if (RECORD_HISTORY) console.log("[combine] History ->", history.appendRun(ROOT, runRecord));
+  const trendRuns = [...pastRuns, runRecord];
+  const moduleSpark = key => sparkline(
+    trendRuns.map(r => r.modules?.[key]?.casePct ?? null),
+    { yMax: 100, color: '#16a34a', title: 'Pass Test Case % — last ' + trendRuns.length + ' runs' }
+  );
+
   // ---- PARENT sections
   const parentSections = Object.keys(rowsByParent).sort().map(parent => {
     const rows = rowsByParent[parent];
@@ -326,20 +678,27 @@ th{background:#f1f5f9}
           `<td style="text-align:right">${fmt(r.pass)}</td>`,
           `<td style="text-align:right">${fmt(r.fail)}</td>`,
           `<td style="text-align:right">${fmt(r.total)}</td>`,
+          `<td style="text-align:right">${fmt(r.skipped || 0)}</td>`,
+          `<td style="text-align:right">${fmt(r.notRun || 0)}</td>`,
+          `<td style="text-align:right">${fmt(r.known || 0)}</td>`,
           `<td style="text-align:right">${Number.isFinite(r.passPct) ? (r.passPct + "%") : "0%"}</td>`,
           `<td style="text-align:right">${fmt(r.avg)}</td>`,
+          ...["p50", "p90", "p95", "p99", "max"].map(k => `<td style="text-align:right">${fmt(r[k])}</td>`),
           `</tr>`
         ].join("");
       }).join("");
 
       return [
         '<details>',
-        '<summary>', esc(module), '</summary>',
+        '<summary>', esc(module), ' ', moduleSpark(`${parent}|${module}`), '</summary>',
         '<div style="padding:8px 12px 12px">',
         '<table>',
         '<thead><tr>',
         '<th>API / Folder</th><th style="text-align:right">Pass</th><th style="text-align:right">Fail</th>',
-        '<th style="text-align:right">Total</th><th style="text-align:right">Pass %</th><th style="text-align:right">Avg (ms)</th>',
+        '<th style="text-align:right">Total</th><th style="text-align:right">Skipped</th><th style="text-align:right">Not Run</th><th style="text-align:right">Known Issues</th>',
+        '<th style="text-align:right">Pass %</th><th style="text-align:right">Avg (ms)</th>',
+        '<th style="text-align:right">p50</th><th style="text-align:right">p90</th><th style="text-align:right">p95</th>',
+        '<th style="text-align:right">p99</th><th style="text-align:right">Max</th>',
         '</tr></thead>',
         '<tbody>', tableBody, '</tbody>',
         '</table>',
@@ -363,6 +722,9 @@ th{background:#f1f5f9}
       '</div>',
       apiTiles,
       caseTiles,
+      tilesOTHER(pCase),
+      '<h4>Failures by category</h4>',
+      categorySection(failuresByParent.get(parent) || [], false, pCase.fail),
       modulesHtml,
       '</section>'
     ].join('');
@@ -375,7 +737,9 @@ th{background:#f1f5f9}
 
   const totalTiles =
     tilesAPIs(grandApiDisp.unique, grandApiDisp.passed, grandApiDisp.failed, grandApiDisp.rate) +
-    tilesCASES(grandCase.total, grandCase.pass, grandCase.fail, grandCase.rate);
+    tilesCASES(grandCase.total, grandCase.pass, grandCase.fail, grandCase.rate) +
+    tilesOTHER(grandCase) +
+    tilesFLAKY(flakyTotals.cases, flakyTotals.failed);
 
   const FINAL_HTML = [
     '<!doctype html><html><head><meta charset="utf-8">',
@@ -397,6 +761,16 @@ th{background:#f1f5f9}
     totalTiles,
     '</div>',
 
+    gateSection,
+
+    trendsSection(trendRuns),
+
+    '<section class="section"><h3>', esc(diffTitle), '</h3>', diffBody, '</section>',
+
+    '<section class="section"><h3>Known Issues (', fmt(knownList.length), ')</h3>', reasonTable(knownList, false, 'No known issues in this run.'), '</section>',
+
+    '<section class="section"><h3>Skipped &amp; Not Run (', fmt(notExecuted.length), ')</h3>', reasonTable(notExecuted, false, 'Every planned test case was executed.'), '</section>',
+
     parentSections,
 
     '<div class="footer">Generated on ', esc(dateStr), '</div>',
@@ -421,6 +795,17 @@ th{background:#f1f5f9}
 
   fs.writeFileSync(path.join(outDir, "Digital Api Automation Report.html"), FINAL_HTML, "utf8");
 
+  // ---- JUnit XML + CTRF for the whole run
+  if (suiteResults.length) {
+    fs.writeFileSync(path.join(outDir, "junit.xml"), toJUnitXml(suiteResults, { name: "Digital API Automation" }), "utf8");
+    fs.writeFileSync(path.join(outDir, "ctrf-report.json"), JSON.stringify(toCtrf(suiteResults, { name: "Digital API Automation" }), null, 2), "utf8");
+    console.log("[combine] JUnit + CTRF ->", outDir);
+    const table = resultsTable(suiteResults);
+    fs.writeFileSync(path.join(outDir, "results.csv"), toCsv(table), "utf8");
+    if (XLSX) writeXlsx(path.join(outDir, "results.xlsx"), [{ name: "Results", ...table }]);
+    console.log("[combine] Results table ->", path.join(outDir, XLSX ? "results.csv / results.xlsx" : "results.csv"));
+  }
+
   // ---- Email bodies (unchanged layout)
   const EMAIL_CSS = [
     'body{font:14px Segoe UI,Arial,sans-serif;color:#111}',
@@ -446,6 +831,10 @@ th{background:#f1f5f9}
       '<tr><td><b>Passed Test Cases</b></td><td>', fmt(caseStats.pass), '</td></tr>',
       '<tr><td><b>Failed Test Cases</b></td><td>', fmt(caseStats.fail), '</td></tr>',
       '<tr><td><b>Pass Test Case %</b></td><td>', esc(caseStats.rate), '</td></tr>',
+      '<tr><td><b>Skipped Test Cases</b></td><td>', fmt(caseStats.skipped), '</td></tr>',
+      '<tr><td><b>Not Run Test Cases</b></td><td>', fmt(caseStats.notRun), '</td></tr>',
+      '<tr><td><b>Known Issues</b></td><td>', fmt(caseStats.known), '</td></tr>',
+      '<tr><td><b>Passed on Retry</b></td><td>', fmt(caseStats.retryPassed), '</td></tr>',
       '</tbody></table>'
     ].join('');
   }
@@ -453,6 +842,10 @@ th{background:#f1f5f9}
   const emailTop =
     '<h1>Digital API Automation</h1>' +
     emailSection("Total Summary — Test Cases", grandApiDisp, grandCase) +
+    '<br/><table><tbody>' +
+    '<tr><td><b>Flaky Test Cases</b></td><td>' + fmt(flakyTotals.cases) + '</td></tr>' +
+    '<tr><td><b>' + (EXCLUDE_FLAKY ? 'Flaky Failures (excluded)' : 'Flaky Failures') + '</b></td><td>' + fmt(flakyTotals.failed) + '</td></tr>' +
+    '</tbody></table>' +
     Object.keys(rowsByParent).sort().map(parent => {
       const rows = rowsByParent[parent];
       const pApiRows = aggregateApiStatsFromRows(rows);
@@ -461,14 +854,24 @@ th{background:#f1f5f9}
       const pFailed = Math.max(0, pUnique - pPassed);
       const pApiDisp = { unique: pUnique, passed: pPassed, failed: pFailed, rate: pctStr(pPassed, pUnique) };
       const pCase = aggregateCaseStats(rows);
-      return emailSection(parent + " Summary — Test Cases", pApiDisp, pCase);
+      return emailSection(parent + " Summary — Test Cases", pApiDisp, pCase) +
+        '<h2>' + esc(parent) + ' — Failures by category</h2>' + categorySection(failuresByParent.get(parent) || [], true, pCase.fail);
     }).join('');
 
+  const emailGates = GATES ? '<h2>Quality Gates</h2>' + gates.gatesHtml(gateResults) : '';
+  const emailDiff = '<h2>' + esc(diffTitle) + '</h2>' + diffBody;
+  const emailKnown = '<h2>Known Issues (' + fmt(knownList.length) + ')</h2>' + reasonTable(knownList, true, 'No known issues in this run.');
+  const emailNotExecuted = '<h2>Skipped &amp; Not Run (' + fmt(notExecuted.length) + ')</h2>' + reasonTable(notExecuted, true, 'Every planned test case was executed.');
+
   const EMAIL_HTML = [
     '<!doctype html><html><head><meta charset="utf-8"><style>',
     EMAIL_CSS,
     '</style></head><body>',
     emailTop,
+    emailGates,
+    emailDiff,
+    emailKnown,
+    emailNotExecuted,
     '</body></html>'
   ].join('');
 
@@ -476,6 +879,49 @@ th{background:#f1f5f9}
   fs.writeFileSync(path.join(outDir, "EmailBody_Inline.html"), EMAIL_HTML, "utf8");
 
   console.log("Final + Email written ->", outDir);
+
+  // ---- Run summary (send-email.js subject and attachments, CI scripts)
+  const runSummary = {
+    schema: "run-summary",
+    version: 1,
+    runId: runRecord.runId,
+    date: dateStr,
+    grand: { ...runRecord.grand, apiRate: grandApiDisp.rate, caseRate: grandCase.rate },
+    parents: Object.fromEntries(Object.keys(rowsByParent).sort().map(p => [p, runRecord.parents[p]])),
+    failingApis: Object.entries(runRecord.apis)
+      .filter(([, a]) => a.fail > 0)
+      .map(([key, a]) => { const [parent, module, api] = key.split("|"); return { parent, module, api, ...a }; })
+      .sort((a, b) => b.fail - a.fail || a.passPct - b.passPct),
+    gates: GATES ? { passed: !gates.gatesFailed(gateResults), results: gateResults } : null,
+    suites: suiteResults.map(r => ({
+      parent: r.meta?.parent,
+      module: r.meta?.module,
+      environment: r.meta?.environment || null,
+      title: r.meta?.title,
+      passPct: r.totals?.passPct,
+      html: r.meta?.htmlPath || null,
+      junit: r.meta?.htmlPath ? r.meta.htmlPath.replace(/\.html?$/i, ".junit.xml") : null
+    })),
+    files: {
+      report: "Digital Api Automation Report.html",
+      emailBody: "EmailBody.html",
+      emailInline: "EmailBody_Inline.html",
+      junit: suiteResults.length ? "junit.xml" : null,
+      ctrf: suiteResults.length ? "ctrf-report.json" : null,
+      resultsCsv: suiteResults.length ? "results.csv" : null,
+      resultsXlsx: suiteResults.length && XLSX ? "results.xlsx" : null
+    }
+  };
+  fs.writeFileSync(path.join(outDir, "run-summary.json"), JSON.stringify(runSummary, null, 2), "utf8");
+
+  if (GATES) {
+    console.log("[combine] Quality gates:");
+    for (const line of gates.gatesText(gateResults)) console.log("  " + line);
+    if (gates.gatesFailed(gateResults)) {
+      console.error(`[combine] Quality gates FAILED (exit code ${gates.GATE_EXIT_CODE})`);
+      process.exitCode = gates.GATE_EXIT_CODE;
+    }
+  }
 })();
 
 
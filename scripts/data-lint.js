@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * data-lint.js — checks a suite's iteration data against what its collection reads
+ * ---------------------------------------------------------------------------------
+ * A typo'd column name only shows up at runtime as pm.iterationData.get(...) === undefined.
+ * This compares, before anything runs:
+ *   - every pm.iterationData.get("<key>") / .has("<key>") in the collection's scripts
+ *     (collection, folders, requests) and every {{var}} in the requests (URL, headers,
+ *     body, auth)
+ *   - with the data file's column names (CSV or .xlsx sheet) and the variables the
+ *     environment, the collection and the scripts (pm.*.set("<name>")) define.
+ *
+ *   error  missing-column    a key read with pm.iterationData.get is not a column
+ *   error  case-mismatch     ... but a column differs only in upper / lower case
+ *   error  duplicate-column  the same column name twice (Newman keeps the last one)
+ *   error  invalid-status    a *statusCode cell is not a 3-digit HTTP status or Skip
+ *   warn   empty-status      a *statusCode cell is blank
+ *   warn   unused-column     a column no script or {{var}} reads
+ *   warn   undefined-variable  a {{var}} defined nowhere (or only in another case)
+ * Levels can be changed per suite with "lint" in suites.json (see collection-lint.js).
+ *
+ * run-all.js runs these checks for every selected suite before the first run; errors
+ * stop the run (like a missing file), warnings are logged. --no-data-lint skips them.
+ *
+ * Usage:
+ *   node scripts/data-lint.js [--manifest suites.json] [--discover] [--tag <tag>] [--suite <name>]
+ * Exit code: 1 when any suite has an error, else 0.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readIterationData } = require("./iteration-data");
+
+// ===== Root Paths =====
+const ROOT = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
+
+// ===== Logging =====
+function info(m){ console.log("[INFO] " + m); }
+function warn(m){ console.warn("[WARN] " + m); }
+function err (m){ console.error("[ERR ] " + m); }
+
+// Rule -> default level (suites.json "lint" can change it per suite, see collection-lint.js)
+const RULES = {
+  "missing-column": "error",
+  "case-mismatch": "error",
+  "duplicate-column": "error",
+  "invalid-status": "error",
+  "empty-status": "warn",
+  "unused-column": "warn",
+  "undefined-variable": "warn"
+};
+
+const DATA_KEY = /pm\.iterationData\.(?:get|has)\(\s*(["'`])([^"'`]+)\1\s*\)/g;
+const VAR_SET = /(?:pm\.(?:variables|environment|collectionVariables|globals)\.set|postman\.set(?:Environment|Global)Variable)\(\s*(["'`])([^"'`]+)\1/g;
+const VAR_REF = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const STATUS_COLUMN = /status_?code$/i;
+const STATUS_VALUE = /^([1-5]\d\d|skip)$/i;
+
+const scriptText = it => (it.event || []).map(e => [].concat(e?.script?.exec || []).join("\n")).join("\n");
+const matchAll = (text, re, group) => [...String(text).matchAll(re)].map(m => m[group]);
+
+// key -> list of "Folder / Request" places using it
+function addUse(map, key, where){
+  if (!map.has(key)) map.set(key, []);
+  if (!map.get(key).includes(where)) map.get(key).push(where);
+}
+
+/** { dataKeys, varRefs, varsSet } of a collection; dataKeys / varRefs: Map name -> [where]. */
+function collectionUsage(collection){
+  const dataKeys = new Map();
+  const varRefs = new Map();
+  const varsSet = new Set();
+  const visit = (it, where) => {
+    const text = scriptText(it);
+    for (const k of matchAll(text, DATA_KEY, 2)) addUse(dataKeys, k, where);
+    for (const v of matchAll(text, VAR_SET, 2)) varsSet.add(v);
+    if (it.request) {
+      for (const v of matchAll(JSON.stringify(it.request), VAR_REF, 1)) {
+        if (!v.startsWith("$")) addUse(varRefs, v, where);   // {{$guid}} etc. are Postman's dynamic variables
+      }
+    }
+  };
+  visit(collection || {}, "(collection)");
+  (function walk(items, names){
+    for (const it of items || []) {
+      const where = [...names, it.name || ""].join(" / ");
+      visit(it, where);
+      if (Array.isArray(it.item)) walk(it.item, [...names, it.name || ""]);
+    }
+  })(collection?.item, []);
+  return { dataKeys, varRefs, varsSet };
+}
+
+const places = list => list.slice(0, 3).join("; ") + (list.length > 3 ? `; +${list.length - 3} more` : "");
+const lowerMap = names => new Map(names.map(n => [n.toLowerCase(), n]));
+
+/**
+ * collection / environment: parsed JSON; data: { headers, rows } (readIterationData).
+ * Returns [{ level: "error" | "warn", rule, message }].
+ */
+function lintData({ collection, environment, data }){
+  const out = [];
+  const add = (rule, message) => out.push({ level: RULES[rule], rule, message });
+  const { dataKeys, varRefs, varsSet } = collectionUsage(collection);
+  const headers = data.headers;
+  const headerSet = new Set(headers);
+  const headersLower = lowerMap(headers);
+
+  const seen = new Set();
+  for (const h of headers) {
+    if (seen.has(h)) add("duplicate-column", `column "${h}" appears more than once`);
+    seen.add(h);
+  }
+
+  for (const [key, where] of dataKeys) {
+    if (headerSet.has(key)) continue;
+    const near = headersLower.get(key.toLowerCase());
+    if (near) add("case-mismatch", `pm.iterationData.get("${key}") but the column is "${near}" (${places(where)})`);
+    else add("missing-column", `pm.iterationData.get("${key}") has no column (${places(where)})`);
+  }
+
+  const envKeys = (environment?.values || []).filter(v => v && v.enabled !== false).map(v => v.key);
+  const collKeys = (collection?.variable || []).map(v => v?.key).filter(Boolean);
+  const defined = [...new Set([...headers, ...envKeys, ...collKeys, ...varsSet])];
+  const definedSet = new Set(defined);
+  const definedLower = lowerMap(defined);
+  for (const [name, where] of varRefs) {
+    if (definedSet.has(name)) continue;
+    const near = definedLower.get(name.toLowerCase());
+    add("undefined-variable", near
+      ? `{{${name}}} is not defined, "${near}" is (${places(where)})`
+      : `{{${name}}} is not a column, environment, collection or script variable (${places(where)})`);
+  }
+
+  for (const h of headerSet) {
+    if (dataKeys.has(h) || varRefs.has(h)) continue;
+    if (h.toLowerCase() === "enabled" && data.sheet) continue;   // .xlsx row switch, read by the runner
+    if ([...dataKeys.keys()].some(k => k.toLowerCase() === h.toLowerCase())) continue;   // reported as case-mismatch
+    add("unused-column", `column "${h}" is not read by any script or {{var}}`);
+  }
+
+  for (const h of [...headerSet].filter(h => STATUS_COLUMN.test(h))) {
+    const bad = [], empty = [];
+    data.rows.forEach((r, i) => {
+      const v = String(r[h] ?? "").trim();
+      if (v === "") empty.push(i + 1);
+      else if (!STATUS_VALUE.test(v)) bad.push(`iteration ${i + 1}: "${v}"`);
+    });
+    if (bad.length) add("invalid-status", `column "${h}" needs a 3-digit HTTP status or Skip: ${bad.slice(0, 5).join(", ")}${bad.length > 5 ? `, +${bad.length - 5} more` : ""}`);
+    if (empty.length) add("empty-status", `column "${h}" is blank in iteration(s) ${empty.slice(0, 10).join(", ")}${empty.length > 10 ? ", …" : ""}`);
+  }
+  return out;
+}
+
+// Levels from a suite's "lint" settings (suites.json); "off" drops the finding
+function applyLevels(findings, cfg = {}){
+  return findings
+    .map(f => ({ ...f, level: cfg[f.rule] || f.level }))
+    .filter(f => f.level !== "off");
+}
+
+/** lintData for a resolved suite ({ suite, collection, environment, data } file paths), suite levels applied. */
+function lintSuite(job){
+  const readJson = f => JSON.parse(fs.readFileSync(f, "utf8"));
+  const data = readIterationData(job.data, { sheet: job.suite.sheet });
+  return applyLevels(lintData({ collection: readJson(job.collection), environment: readJson(job.environment), data }), job.suite.lint);
+}
+
+module.exports = { RULES, collectionUsage, lintData, applyLevels, lintSuite };
+
+// ===== CLI =====
+if (require.main === module) {
+  const manifest = require("./suite-manifest");
+  const ARGV = process.argv.slice(2);
+  const opts = { manifest: null, discover: null, tags: [], names: [] };
+  try {
+    for (let i = 0; i < ARGV.length; i++) {
+      const a = ARGV[i];
+      if (a === "--manifest") opts.manifest = ARGV[++i];
+      else if (a === "--discover") opts.discover = true;
+      else if (a === "--tag") opts.tags.push(ARGV[++i]);
+      else if (a === "--suite") opts.names.push(ARGV[++i]);
+      else throw new Error("Unknown argument: " + a);
+    }
+    const m = manifest.loadManifest(ROOT, opts.manifest, { discover: opts.discover });
+    const { resolved, problems } = manifest.validateSuites(ROOT, manifest.selectSuites(m.suites, opts));
+    for (const p of [...m.problems, ...problems]) err(p);
+
+    let errors = m.problems.length + problems.length, warnings = 0;
+    for (const job of resolved) {
+      let findings;
+      try { findings = lintSuite(job); }
+      catch (e) { err(`${job.suite.name}: ${e.message}`); errors++; continue; }
+      for (const f of findings) ({ error: err, warn, info })[f.level](`${job.suite.name}: [${f.rule}] ${f.message}`);
+      const e = findings.filter(f => f.level === "error").length;
+      const w = findings.filter(f => f.level === "warn").length;
+      errors += e;
+      warnings += w;
+      info(`${job.suite.name}: ${path.basename(job.data)} — ${e} error(s), ${w} warning(s)`);
+    }
+    info(`Data lint: ${resolved.length} suite(s), ${errors} error(s), ${warnings} warning(s)`);
+    if (errors) process.exitCode = 1;
+  } catch (e) {
+    err(e.message || String(e));
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * env-compare.js — one suite, several environments, side by side
+ * ---------------------------------------------------------------
+ * run-all.js --envs test,stage runs every selected suite once per environment overlay
+ * (env-overlay.js); each run leaves Temp\<Parent>\<Module>@<env>_latest.json (the suite
+ * result sidecar of make-suite-report.js, meta.environment = <env>). This lines those up:
+ * one row per Parent / Module / API, per environment the result, passed / failed test
+ * cases, status codes seen and average / p95 latency.
+ *
+ * A row is highlighted when the environments disagree:
+ *   result    a test case (iteration) passes in one environment and fails in another (red)
+ *   status    different sets of status codes (amber)
+ *   latency   slowest average >= --latency-ratio x the fastest (default 2) and at least
+ *             --latency-min-ms apart (default 200) (amber)
+ *   missing   the API ran in some environments only (amber)
+ *
+ * Output: EmailReports\<YYYY-MM-DD>\Environment Comparison.html ("Only differences"
+ * toggle) and env-comparison.json. run-all.js runs this after the combined report,
+ * before Temp is cleaned.
+ *
+ * Usage:
+ *   node scripts/env-compare.js [--envs test,stage] [--dir <Temp dir>] [--latency-ratio <x>] [--latency-min-ms <ms>]
+ * Exit code: 1 when fewer than two environments have results, else 0.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { latencyStats } = require("./sla-config");
+
+// ===== Root Paths =====
+const ROOT = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
+const TEMP_ROOT = path.join(ROOT, "Temp");
+const EMAIL_ROOT = path.join(ROOT, "EmailReports");
+const RESULT_SCHEMA = "suite-result";
+
+// ===== Logging =====
+function info(m){ console.log("[INFO] " + m); }
+function warn(m){ console.warn("[WARN] " + m); }
+function err (m){ console.error("[ERR ] " + m); }
+
+// ===== Helpers =====
+const today = () => new Date().toISOString().slice(0, 10);
+const esc = s => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+const fmtMs = n => Number.isFinite(n) ? Math.round(n).toLocaleString() + " ms" : "—";
+const avg = a => a.length ? a.reduce((x, y) => x + y, 0) / a.length : null;
+
+const DIVERGENCE = {
+  result:  { label: "Pass / fail differs",  color: "#fee2e2" },
+  status:  { label: "Status codes differ",  color: "#fef3c7" },
+  latency: { label: "Latency differs",      color: "#fef3c7" },
+  missing: { label: "Not run everywhere",   color: "#fef3c7" }
+};
+
+// <Module>@<env>_latest.json sidecars (with meta.environment) under dir
+function findResults(dir){
+  const out = [];
+  if (!fs.existsSync(dir)) return out;
+  for (const name of fs.readdirSync(dir)) {
+    const p = path.join(dir, name);
+    if (fs.statSync(p).isDirectory()) { out.push(...findResults(p)); continue; }
+    if (!/_latest\.json$/i.test(name)) continue;
+    try {
+      const r = JSON.parse(fs.readFileSync(p, "utf8"));
+      if (r?.schema === RESULT_SCHEMA && r.meta?.environment) out.push(r);
+    } catch (e) { warn(`${p}: ${e.message}`); }
+  }
+  return out;
+}
+
+const isPassed = tc => tc.result === "Pass" || tc.result === "Passed on retry";
+const isFailed = (tc, knownIsFailure) => tc.result === "Fail" || (tc.result === "Known Issue" && knownIsFailure);
+
+// One environment's view of an API: { result, pass, fail, other, codes, avgMs, p95Ms }
+function apiStats(cases, knownIsFailure){
+  const failed = tc => isFailed(tc, knownIsFailure);
+  const pass = cases.filter(isPassed).length;
+  const fail = cases.filter(failed).length;
+  const ms = cases.filter(tc => isPassed(tc) || failed(tc)).map(tc => tc.respMs).filter(Number.isFinite);
+  return {
+    result: fail ? "Fail" : pass ? "Pass" : "Not Run",
+    pass, fail,
+    other: cases.length - pass - fail,
+    codes: [...new Set(cases.map(tc => tc.statusCode).filter(c => c != null && c !== ""))].sort((a, b) => a - b),
+    avgMs: avg(ms),
+    p95Ms: latencyStats(ms).p95
+  };
+}
+
+/**
+ * results: suite result sidecars with meta.environment; opts: { envs, latencyRatio, latencyMinMs }.
+ * Returns { envs, rows: [{ parent, module, group, api, byEnv: { env: stats | null }, flipped, divergences }] };
+ * flipped: the iterations that pass in one environment and fail in another.
+ */
+function compareResults(results, opts = {}){
+  const envs = opts.envs && opts.envs.length ? opts.envs : [...new Set(results.map(r => r.meta.environment))];
+  const ratio = opts.latencyRatio ?? 2;
+  const minMs = opts.latencyMinMs ?? 200;
+
+  const rows = new Map();
+  for (const r of results) {
+    const env = r.meta.environment;
+    if (!envs.includes(env)) continue;
+    const byApi = new Map();
+    for (const tc of r.testCases || []) {
+      const key = [r.meta.parent, r.meta.module, tc.group, tc.api].join("|");
+      if (!byApi.has(key)) byApi.set(key, { parent: r.meta.parent, module: r.meta.module, group: tc.group, api: tc.api, cases: [] });
+      byApi.get(key).cases.push(tc);
+    }
+    for (const [key, a] of byApi) {
+      if (!rows.has(key)) rows.set(key, { parent: a.parent, module: a.module, group: a.group, api: a.api, byEnv: Object.fromEntries(envs.map(e => [e, null])), outcomes: new Map() });
+      const row = rows.get(key);
+      row.byEnv[env] = apiStats(a.cases, r.totals?.knownCountedAsFailure);
+      for (const tc of a.cases) {
+        const outcome = isPassed(tc) ? "pass" : isFailed(tc, r.totals?.knownCountedAsFailure) ? "fail" : null;
+        if (!outcome) continue;
+        if (!row.outcomes.has(tc.iteration)) row.outcomes.set(tc.iteration, new Set());
+        row.outcomes.get(tc.iteration).add(outcome);
+      }
+    }
+  }
+
+  for (const row of rows.values()) {
+    const ran = envs.map(e => row.byEnv[e]).filter(s => s && s.result !== "Not Run");
+    const d = [];
+    row.flipped = [...row.outcomes].filter(([, set]) => set.size > 1).map(([it]) => it).sort((a, b) => a - b);
+    delete row.outcomes;
+    if (row.flipped.length || (ran.some(s => s.result === "Pass") && ran.some(s => s.result === "Fail"))) d.push("result");
+    if (new Set(ran.map(s => s.codes.join(","))).size > 1) d.push("status");
+    const means = ran.map(s => s.avgMs).filter(Number.isFinite);
+    if (means.length > 1) {
+      const lo = Math.min(...means), hi = Math.max(...means);
+      if (hi - lo >= minMs && hi >= lo * ratio) d.push("latency");
+    }
+    if (ran.length < envs.length) d.push("missing");
+    row.divergences = d;
+  }
+
+  const list = [...rows.values()].sort((a, b) => [a.parent, a.module, a.group, a.api].join("|").localeCompare([b.parent, b.module, b.group, b.api].join("|")));
+  return { envs, rows: list };
+}
+
+function renderHtml(cmp, meta){
+  const { envs, rows } = cmp;
+  const count = kind => rows.filter(r => r.divergences.includes(kind)).length;
+  const diverging = rows.filter(r => r.divergences.length).length;
+  const th = 'style="border:1px solid #e5e7eb;padding:6px 8px;background:#f1f5f9;text-align:left"';
+  const td = 'style="border:1px solid #e5e7eb;padding:6px 8px;vertical-align:top"';
+  const badge = (text, bg, fg) => `<span style="display:inline-block;padding:1px 8px;border-radius:10px;background:${bg};color:${fg};font-weight:600;font-size:12px">${esc(text)}</span>`;
+  const resultBadge = s => !s ? badge("—", "#f1f5f9", "#64748b")
+    : s.result === "Pass" ? badge("PASS", "#dcfce7", "#166534")
+    : s.result === "Fail" ? badge("FAIL", "#fee2e2", "#991b1b")
+    : badge("NOT RUN", "#f1f5f9", "#64748b");
+  const cell = s => !s ? `<td ${td}>${resultBadge(s)}</td>` : `<td ${td}>${resultBadge(s)}` +
+    `<div style="font-size:12px;color:#475569;margin-top:4px">${s.pass} passed · ${s.fail} failed${s.other ? ` · ${s.other} other` : ""}<br>` +
+    `Status: ${s.codes.length ? esc(s.codes.join(", ")) : "—"}<br>Avg ${fmtMs(s.avgMs)} · p95 ${fmtMs(s.p95Ms)}</div></td>`;
+
+  const body = rows.map(r => {
+    const bg = r.divergences.includes("result") ? DIVERGENCE.result.color : r.divergences.length ? DIVERGENCE.status.color : "";
+    return `<tr data-diverges="${r.divergences.length ? 1 : 0}"${bg ? ` style="background:${bg}"` : ""}>` +
+      `<td ${td}>${esc(r.parent)}</td><td ${td}>${esc(r.module)}</td><td ${td}>${esc(r.group)}</td><td ${td}>${esc(r.api)}</td>` +
+      envs.map(e => cell(r.byEnv[e])).join("") +
+      `<td ${td}>${r.divergences.map(k => esc(DIVERGENCE[k].label) + (k === "result" && r.flipped.length ? ` <span style="font-size:12px;color:#475569">(iteration ${esc(r.flipped.join(", "))})</span>` : "")).join("<br>") || "—"}</td></tr>`;
+  }).join("");
+
+  return [
+    '<!doctype html><html><head><meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>Environment Comparison — ${esc(envs.join(" vs "))}</title></head>`,
+    '<body style="font:14px/1.5 ui-sans-serif,system-ui,Segoe UI,Roboto,Arial;background:#f8fafc;color:#0f172a;margin:0">',
+    '<div style="max-width:1400px;margin:0 auto;padding:18px">',
+    `<h1 style="margin:0 0 4px 0">Environment Comparison</h1>`,
+    `<div style="color:#475569;margin-bottom:12px">${envs.map(e => `<b>${esc(e)}</b>`).join(" vs ")} · ${esc(meta.generatedAt)}</div>`,
+    '<div style="background:#fff;border:1px solid #e5e7eb;border-radius:14px;padding:12px;margin:10px 0">',
+    `<b>${rows.length}</b> API(s), <b>${diverging}</b> with differences: `,
+    Object.keys(DIVERGENCE).map(k => `${esc(DIVERGENCE[k].label)} <b>${count(k)}</b>`).join(" · "),
+    `<div style="font-size:12px;color:#64748b;margin-top:4px">Latency differs: slowest average ≥ ${meta.latencyRatio}× the fastest and ≥ ${meta.latencyMinMs} ms apart.</div>`,
+    '<label style="display:inline-block;margin-top:8px;cursor:pointer"><input type="checkbox" id="onlyDiff"> Only differences</label>',
+    '</div>',
+    '<table style="border-collapse:collapse;width:100%;background:#fff">',
+    `<thead><tr><th ${th}>Parent</th><th ${th}>Module</th><th ${th}>Folder</th><th ${th}>API</th>`,
+    envs.map(e => `<th ${th}>${esc(e)}</th>`).join(""),
+    `<th ${th}>Differences</th></tr></thead>`,
+    `<tbody>${body || `<tr><td ${td} colspan="${envs.length + 5}">No results</td></tr>`}</tbody></table>`,
+    '</div>',
+    '<script>',
+    'document.getElementById("onlyDiff").addEventListener("change", function(){',
+    '  var only = this.checked;',
+    '  document.querySelectorAll("tbody tr[data-diverges]").forEach(function(tr){ tr.style.display = only && tr.getAttribute("data-diverges") === "0" ? "none" : ""; });',
+    '});',
+    '</script>',
+    '</body></html>'
+  ].join("\n");
+}
+
+module.exports = { findResults, compareResults, renderHtml };
+
+// ===== CLI =====
+if (require.main === module) {
+  const ARGV = process.argv.slice(2);
+  const argValue = (name, dflt) => { const i = ARGV.indexOf(name); return i >= 0 && ARGV[i + 1] != null ? ARGV[i + 1] : dflt; };
+  try {
+    const envs = String(argValue("--envs", "")).split(",").map(s => s.trim()).filter(Boolean);
+    const latencyRatio = Number(argValue("--latency-ratio", "2"));
+    const latencyMinMs = Number(argValue("--latency-min-ms", "200"));
+    if (!(latencyRatio >= 1)) throw new Error("--latency-ratio must be a number >= 1");
+    if (!(latencyMinMs >= 0)) throw new Error("--latency-min-ms must be a number of milliseconds");
+
+    const results = findResults(path.resolve(ROOT, argValue("--dir", TEMP_ROOT)));
+    const cmp = compareResults(results, { envs, latencyRatio, latencyMinMs });
+    const found = cmp.envs.filter(e => results.some(r => r.meta.environment === e));
+    for (const e of cmp.envs.filter(e => !found.includes(e))) warn(`No suite results for environment "${e}"`);
+    if (found.length < 2) {
+      err(`Environment comparison needs results of at least two environments (found: ${found.join(", ") || "none"})`);
+      process.exit(1);
+    }
+
+    const meta = { generatedAt: new Date().toISOString(), latencyRatio, latencyMinMs };
+    const outDir = path.join(EMAIL_ROOT, today());
+    fs.mkdirSync(outDir, { recursive: true });
+    const htmlFile = path.join(outDir, "Environment Comparison.html");
+    fs.writeFileSync(htmlFile, renderHtml(cmp, meta), "utf8");
+    console.log("✓ Wrote environment comparison ->", htmlFile);
+    const jsonFile = path.join(outDir, "env-comparison.json");
+    fs.writeFileSync(jsonFile, JSON.stringify({ schema: "env-comparison", ...meta, ...cmp }, null, 2), "utf8");
+    console.log("✓ Wrote environment comparison JSON ->", jsonFile);
+
+    const diverging = cmp.rows.filter(r => r.divergences.length);
+    info(`Compared ${cmp.rows.length} API(s) across ${cmp.envs.join(", ")}: ${diverging.length} with differences`);
+    for (const r of diverging.filter(r => r.divergences.includes("result"))) {
+      warn(`${r.module} / ${r.api}: ` + cmp.envs.map(e => `${e} ${r.byEnv[e] ? `${r.byEnv[e].pass} passed, ${r.byEnv[e].fail} failed` : "—"}`).join("; ") +
+        (r.flipped.length ? ` (iteration ${r.flipped.join(", ")} differs)` : ""));
+    }
+  } catch (e) {
+    err(e.message || String(e));
+    process.exit(1);
+  }
+}
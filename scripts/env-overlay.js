@@ -0,0 +1,151 @@
+/**
+ * env-overlay.js
+ * --------------
+ * Layered Newman environments (run-suite.js; run-all.js --env <name>):
+ *   1) the suite's *.postman_environment.json                  base
+ *   2) <ROOT>\environments\<name>.json                          overlay for every suite
+ *   3) <Suite>\environments\<name>.json                         overlay for this suite
+ * Later layers win per key. An overlay is a Postman environment export or a flat
+ * { "baseURL": "https://stage.example.com", "was-secret": "${WAS_SECRET}" } object.
+ *
+ * Placeholders ${NAME} / ${NAME:-default} in any value are filled from the process
+ * environment, then <Suite>\.env, then <ROOT>\.env (NAME=value lines, # comments), so a
+ * committed file holds "${WAS_SECRET}" and CI or a local, uncommitted .env holds the value.
+ *
+ * Fails before Newman starts when a placeholder has no value and no default, when a
+ * suites.json "requiredEnv" key is missing or blank, or when the overlay exists nowhere.
+ *
+ * describe() gives the report view of the result: every key with its source, secret
+ * values masked (type "secret", redaction.json envKeys, or a name like *secret*,
+ * *token*, *password*, *apikey*). Secrets are handed to Newman with type "secret", so
+ * the report's redactor masks them in the request / response evidence too.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const redact = require("./redact");
+
+const OVERLAY_DIR = "environments";
+const NAME_OK = /^[A-Za-z0-9._-]+$/;
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const SECRET_NAME = /secret|password|passwd|token|api[-_]?key|auth/i;
+
+// NAME=value lines; "export NAME=...", quotes and # comments allowed
+function parseDotEnv(text){
+  const out = {};
+  for (const line of String(text).replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const m = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!m) continue;
+    let v = m[2];
+    if (/^"(.*)"$/.test(v)) v = v.slice(1, -1).replace(/\\n/g, "\n").replace(/\\"/g, '"');
+    else if (/^'(.*)'$/.test(v)) v = v.slice(1, -1);
+    else v = v.replace(/\s+#.*$/, "");
+    out[m[1]] = v;
+  }
+  return out;
+}
+
+const readDotEnv = file => fs.existsSync(file) ? parseDotEnv(fs.readFileSync(file, "utf8")) : {};
+
+// [{ key, value, type }] of a Postman environment export or a flat object
+function readLayer(file){
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (Array.isArray(raw?.values)) {
+    return raw.values.filter(v => v && v.key && v.enabled !== false)
+      .map(v => ({ key: v.key, value: v.value == null ? "" : String(v.value), type: v.type || "default" }));
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${file}: expected a Postman environment or a { "key": "value" } object`);
+  return Object.entries(raw).map(([key, value]) => ({ key, value: value == null ? "" : String(value), type: "default" }));
+}
+
+/** The overlay files of `name` for a suite folder (root first), or [] when there is no name. */
+function overlayFiles(root, dir, name){
+  if (!name) return [];
+  return [path.join(root, OVERLAY_DIR, name + ".json"), path.join(dir, OVERLAY_DIR, name + ".json")]
+    .filter((f, i, all) => all.indexOf(f) === i && fs.existsSync(f));
+}
+
+/**
+ * root: project root; dir: suite folder; baseFile: the suite's environment file.
+ * opts: { name: overlay name, required: ["key", …], env: process.env }.
+ * Returns { environment (Postman environment object for Newman), name, layers, values:
+ * [{ key, value, type, source, secret }], marker }; throws one Error listing every problem.
+ */
+function resolveEnvironment(root, dir, baseFile, opts = {}){
+  const name = opts.name || null;
+  const problems = [];
+  if (name && !NAME_OK.test(name)) throw new Error(`Environment name "${name}" may only use letters, digits, ".", "_" and "-"`);
+
+  const layers = [{ label: "base", file: baseFile }];
+  const files = overlayFiles(root, dir, name);
+  if (name && !files.length) {
+    throw new Error(`Environment overlay "${name}" not found (${path.join(root, OVERLAY_DIR, name + ".json")} or ${path.join(dir, OVERLAY_DIR, name + ".json")})`);
+  }
+  for (const f of files) layers.push({ label: `${name} (${path.relative(root, f).split(path.sep).join("/")})`, file: f });
+
+  const byKey = new Map();
+  for (const layer of layers) {
+    for (const v of readLayer(layer.file)) {
+      const prev = byKey.get(v.key);
+      byKey.set(v.key, { ...v, type: v.type === "default" && prev ? prev.type : v.type, source: layer.label });
+    }
+  }
+
+  const procEnv = opts.env || process.env;
+  const dotEnvs = [[".env (suite)", readDotEnv(path.join(dir, ".env"))], [".env", readDotEnv(path.join(root, ".env"))]];
+  const lookup = n => {
+    if (procEnv[n] != null) return { value: procEnv[n], from: "process env" };
+    for (const [label, vars] of dotEnvs) if (vars[n] != null) return { value: vars[n], from: label };
+    return null;
+  };
+
+  for (const v of byKey.values()) {
+    const from = [];
+    v.value = v.value.replace(PLACEHOLDER, (whole, n, dflt) => {
+      const hit = lookup(n);
+      if (hit) { from.push(`${hit.from} ${n}`); return hit.value; }
+      if (dflt != null) { from.push(`default of ${n}`); return dflt; }
+      problems.push(`"${v.key}": \${${n}} is not set (process environment or .env)`);
+      return whole;
+    });
+    if (from.length) v.source += " + " + from.join(", ");
+  }
+
+  for (const key of opts.required || []) {
+    const v = byKey.get(key);
+    if (!v) problems.push(`required key "${key}" is missing`);
+    else if (!String(v.value).trim()) problems.push(`required key "${key}" is blank`);
+  }
+  if (problems.length) throw new Error(`Environment ${name ? `"${name}" ` : ""}for ${path.basename(dir)}: ${problems.join("; ")}`);
+
+  const redaction = redact.loadConfig(root);
+  const secretKeys = new Set(redaction.envKeys.map(k => k.toLowerCase()));
+  const values = [...byKey.values()].map(v => {
+    const secret = v.type === "secret" || secretKeys.has(v.key.toLowerCase()) || SECRET_NAME.test(v.key);
+    return { key: v.key, value: v.value, type: secret ? "secret" : v.type, source: v.source, secret };
+  });
+  const base = JSON.parse(fs.readFileSync(baseFile, "utf8"));
+  return {
+    name,
+    layers: layers.map(l => l.label),
+    values,
+    marker: redaction.marker,
+    environment: {
+      id: base.id,
+      name: base.name + (name ? ` [${name}]` : ""),
+      values: values.map(v => ({ key: v.key, value: v.value, type: v.type, enabled: true }))
+    }
+  };
+}
+
+/** Report view of a resolveEnvironment result: secret values masked, nothing else changed. */
+function describe(resolved){
+  const marker = resolved.marker || redact.DEFAULTS.marker;
+  return {
+    name: resolved.name,
+    layers: resolved.layers,
+    values: resolved.values.map(v => ({ key: v.key, value: v.secret && v.value ? marker : v.value, source: v.source, secret: v.secret }))
+  };
+}
+
+module.exports = { OVERLAY_DIR, parseDotEnv, overlayFiles, resolveEnvironment, describe };
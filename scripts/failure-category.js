@@ -0,0 +1,81 @@
+/**
+ * failure-category.js
+ * -------------------
+ * Puts each failed test case into one category, using the Newman execution.
+ * The first matching rule wins:
+ *
+ *   Transport / Timeout      no response (connection refused, DNS, timeout, …)
+ *   5xx Server Error         response 5xx that the data row did not expect
+ *   Status Mismatch          response code differs from the expected *statusCode in the CSV row
+ *   4xx Unexpected Status    response 4xx and a failed status-code check
+ *   Script Error             a failed check threw TypeError / ReferenceError / … instead of an assertion
+ *   SLA Breach               every failed check is a response-time check
+ *   Schema / Body Assertion  any other failed assertion
+ *
+ * The expected status column of a request is the one its scripts (or its folders'
+ * scripts) read with pm.iterationData.get("<...>statusCode").
+ */
+
+const CATEGORIES = [
+  { label: "Transport / Timeout", color: "#7c3aed" },
+  { label: "5xx Server Error", color: "#b91c1c" },
+  { label: "Status Mismatch", color: "#ea580c" },
+  { label: "4xx Unexpected Status", color: "#d97706" },
+  { label: "Script Error", color: "#0891b2" },
+  { label: "SLA Breach", color: "#9a3412" },
+  { label: "Schema / Body Assertion", color: "#2563eb" }
+];
+
+const STATUS_COLUMN = /iterationData\.get\(\s*["']([^"']*status_?code)["']\s*\)/i;
+const STATUS_CHECK = /status(\s|_)?code|to have status|response status/i;
+const TIME_CHECK = /response\s?time|responseTime|\d+\s?ms\b|\bsla\b/i;
+
+const scriptText = item => (item.event || [])
+  .map(e => [].concat(e?.script?.exec || []).join("\n"))
+  .join("\n");
+
+/** Map of leaf item id -> CSV column with the expected status code (from the item or its folders). */
+function expectedStatusColumns(collection) {
+  const out = new Map();
+  (function walk(items, inherited) {
+    for (const it of items || []) {
+      const col = (scriptText(it).match(STATUS_COLUMN) || [])[1] || inherited;
+      if (Array.isArray(it.item)) walk(it.item, col);
+      else if (col) out.set(it.id, col);
+    }
+  })(collection?.item, null);
+  return out;
+}
+
+/**
+ * ex: Newman execution; opts.expectedStatus: expected code from the data row (string / number).
+ * Returns a category label, or null when the execution has no failure.
+ */
+function categorize(ex, opts = {}) {
+  if (!ex) return null;
+  if (ex.requestError || !ex.response) return "Transport / Timeout";
+  const failed = (ex.assertions || []).filter(a => a.error);
+  if (!failed.length) return null;
+
+  const code = Number(ex.response.code);
+  const expected = /^\s*\d{3}\s*$/.test(String(opts.expectedStatus ?? "")) ? Number(opts.expectedStatus) : null;
+  const text = a => `${a.assertion || ""} ${a.error?.test || ""} ${a.error?.message || ""}`;
+
+  if (code >= 500 && expected !== code) return "5xx Server Error";
+  if (expected != null && expected !== code) return "Status Mismatch";
+  if (code >= 400 && code < 500 && expected == null && failed.some(a => STATUS_CHECK.test(text(a)))) return "4xx Unexpected Status";
+  if (failed.some(a => a.error.name && a.error.name !== "AssertionError")) return "Script Error";
+  if (failed.every(a => TIME_CHECK.test(text(a)))) return "SLA Breach";
+  return "Schema / Body Assertion";
+}
+
+/** [{ label, color, count }] in category order, only categories that occur. */
+function countByCategory(labels) {
+  const counts = new Map();
+  for (const l of labels) if (l) counts.set(l, (counts.get(l) || 0) + 1);
+  const known = CATEGORIES.filter(c => counts.has(c.label)).map(c => ({ ...c, count: counts.get(c.label) }));
+  const other = [...counts.keys()].filter(l => !CATEGORIES.some(c => c.label === l)).map(l => ({ label: l, color: "#64748b", count: counts.get(l) }));
+  return [...known, ...other];
+}
+
+module.exports = { CATEGORIES, expectedStatusColumns, categorize, countByCategory };
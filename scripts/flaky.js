@@ -0,0 +1,97 @@
+/**
+ * flaky.js
+ * --------
+ * Flakiness across runs, from the Newman suite summary JSONs already kept under
+ * <Suite>\Reports\<YYYY-MM-DD>\summary_<base>_<stamp>.json.
+ *
+ * A test case is keyed by API + data row. Newman iteration n runs data row n, so the
+ * iteration is the row index. The request as sent is not part of the key: it carries
+ * per-run values (e.g. a beginDate of tomorrow) that would make every run a new case.
+ *
+ * Score = result flips (Pass <-> Fail between consecutive runs) / (runs - 1).
+ * A case is flaky when it both passed and failed in the window and the score
+ * reaches the threshold.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULTS = { runs: 10, threshold: 0.3, minRuns: 3 };
+
+// <API>|<data row, 1-based>
+function caseKey(ex) {
+  const api = ex?.item?.name || 'Request';
+  const row = (ex?.cursor?.iteration ?? 0) + 1;
+  return `${api}|${row}`;
+}
+
+// Same Pass / Fail / Skipped decision as make-suite-report.js
+function caseResult(ex) {
+  const assertions = ex?.assertions || [];
+  const isSkip = assertions.some(a => /\bskip\b/i.test(a.assertion || a.error?.test || '') || /\bskip\b/i.test(a.error?.message || ''));
+  if (isSkip) return 'Skipped';
+  return assertions.some(a => a.error) ? 'Fail' : 'Pass';
+}
+
+// key -> 'Pass' | 'Fail' for one Newman summary
+function outcomesOf(data) {
+  const out = new Map();
+  for (const ex of data?.run?.executions || []) {
+    const r = caseResult(ex);
+    if (r === 'Pass' || r === 'Fail') out.set(caseKey(ex), r);
+  }
+  return out;
+}
+
+// summary_<base>_<stamp>.json files for the same collection, oldest first, older than `current`
+function previousSummaries(currentFile, limit) {
+  const m = path.basename(currentFile).match(/^summary_(.+)_(\d{8}_\d{6})(?:_\d+)?\.json$/i);
+  if (!m) return [];
+  const [, base, stamp] = m;
+  const reportsRoot = path.resolve(path.dirname(currentFile), "..");
+  if (!fs.existsSync(reportsRoot)) return [];
+
+  const re = new RegExp(`^summary_${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}_(\\d{8}_\\d{6})(?:_\\d+)?\\.json$`, 'i');
+  const found = [];
+  for (const day of fs.readdirSync(reportsRoot)) {
+    const dir = path.join(reportsRoot, day);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const hit = name.match(re);
+      const file = path.join(dir, name);
+      if (hit && hit[1] < stamp && path.resolve(file) !== path.resolve(currentFile)) found.push({ file, stamp: hit[1] });
+    }
+  }
+  return found.sort((a, b) => a.stamp.localeCompare(b.stamp)).slice(-limit).map(f => f.file);
+}
+
+/**
+ * Scores every case of the current run against up to opts.runs previous runs.
+ * Returns Map key -> { runs, passes, fails, flips, score, flaky }.
+ */
+function scoreFlakiness(currentData, currentFile, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const history = [];
+  for (const file of previousSummaries(currentFile, o.runs - 1)) {
+    try { history.push(outcomesOf(JSON.parse(fs.readFileSync(file, "utf8")))); }
+    catch { /* unreadable summary: skip it */ }
+  }
+  history.push(outcomesOf(currentData));
+
+  const scores = new Map();
+  for (const key of history[history.length - 1].keys()) {
+    const seq = history.map(h => h.get(key)).filter(Boolean);
+    let flips = 0;
+    for (let i = 1; i < seq.length; i++) if (seq[i] !== seq[i - 1]) flips++;
+    const passes = seq.filter(r => r === 'Pass').length;
+    const fails = seq.length - passes;
+    const score = seq.length > 1 ? Math.round((100 * flips) / (seq.length - 1)) / 100 : 0;
+    scores.set(key, {
+      runs: seq.length, passes, fails, flips, score,
+      flaky: seq.length >= o.minRuns && passes > 0 && fails > 0 && score >= o.threshold
+    });
+  }
+  return scores;
+}
+
+module.exports = { DEFAULTS, caseKey, caseResult, previousSummaries, scoreFlakiness };
@@ -0,0 +1,73 @@
+/**
+ * iteration-data.js
+ * -----------------
+ * Reads a suite's iteration data file (CSV, first line = column names) the way
+ * Newman does: one data row per iteration, blank lines ignored, "quoted, fields"
+ * and doubled "" quotes supported. Values stay strings ("0123" stays "0123").
+ * writeCsv writes rows back in the same format (rerun-failed data subsets).
+ *
+ * .xlsx data files are read natively (xlsx.js, no Excel needed): one sheet (suites.json
+ * "sheet", default the first), first non-empty row = column names, cells as text the
+ * way Excel shows them. An "enabled" column skips rows set to false / no / n / 0 / off;
+ * those rows are not iterations at all. Newman gets the rows as an array, so the
+ * report, rerun-failed and Newman all see the same iterations.
+ */
+
+const fs = require("fs");
+const { readXlsx } = require("./xlsx");
+
+const isExcel = file => /\.xlsx?$/i.test(String(file || ""));
+const DISABLED = /^(false|no|n|0|off)$/i;
+
+// RFC 4180-style CSV -> array of rows (array of strings)
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+/**
+ * { headers, rows:[{ header: value }] } for a CSV or .xlsx data file.
+ * .xlsx: opts.sheet picks the sheet; also { sheet, disabled } (rows skipped by "enabled").
+ */
+function readIterationData(file, opts = {}) {
+  if (!isExcel(file)) {
+    const [head = [], ...body] = parseCsv(fs.readFileSync(file, "utf8"));
+    const headers = head.map(h => h.trim());
+    const rows = body.map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ""]).filter(([h]) => h)));
+    return { headers: headers.filter(Boolean), rows };
+  }
+  const book = readXlsx(file, { sheet: opts.sheet || null });
+  const [head = [], ...body] = book.rows.filter(r => r.some(v => String(v).trim() !== ""));
+  const headers = head.map(h => String(h).trim());
+  const all = body.map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ""]).filter(([h]) => h)));
+  const enabledCol = headers.find(h => h.toLowerCase() === "enabled");
+  const rows = enabledCol ? all.filter(r => !DISABLED.test(String(r[enabledCol]).trim())) : all;
+  return { headers: headers.filter(Boolean), rows, sheet: book.sheet, disabled: all.length - rows.length };
+}
+
+// Quote only when needed, so unchanged rows stay byte-identical to the source
+const csvField = v => /[",\r\n]|^\s|\s$/.test(String(v ?? "")) ? '"' + String(v).replace(/"/g, '""') + '"' : String(v ?? "");
+
+/** Writes headers + rows ([{ header: value }]) as CSV. */
+function writeCsv(file, headers, rows) {
+  const lines = [headers, ...rows.map(r => headers.map(h => r[h] ?? ""))].map(r => r.map(csvField).join(","));
+  fs.writeFileSync(file, lines.join("\r\n") + "\r\n", "utf8");
+}
+
+module.exports = { isExcel, parseCsv, readIterationData, writeCsv };
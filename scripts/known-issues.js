@@ -0,0 +1,85 @@
+/**
+ * known-issues.js
+ * ---------------
+ * Decides the "Known Issue" result for a test case in make-suite-report.js.
+ *
+ * A case is a Known Issue when
+ *   - one of its checks is named with a soft-fail marker (the collection's soft helper
+ *     titles a failing soft check "<title> + --> Failing" and lets it pass), or
+ *   - every failed check is covered by an entry of the known-issues list.
+ * Any other failed check keeps the case a hard "Fail".
+ *
+ * Optional <ROOT>\known-issues.json:
+ *   {
+ *     "markers": ["+ --> Failing"],          // text or "/regex/flags" in the check name
+ *     "countAsFailure": false,               // default true; false leaves Known Issues out of the failed counts
+ *     "issues": [
+ *       { "api": "Flight search with flight num*", "check": "*Status code should be 405*",
+ *         "iteration": 2, "reason": "PUT returns 404 instead of 405", "ticket": "DAPI-123" }
+ *     ]
+ *   }
+ * "api" / "check" are wildcards (* ?, case-insensitive) or "/regex/flags"; "api" is tried
+ * against the API and folder names, "check" against the check name and message.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_MARKERS = ["+ --> Failing"];
+
+function toMatcher(pattern, exact) {
+  const p = String(pattern);
+  const re = p.match(/^\/(.+)\/([a-z]*)$/s);
+  if (re) return new RegExp(re[1], re[2]);
+  const body = p.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(exact ? `^${body}$` : body.replace(/\s+/g, '\\s*'), 'i');
+}
+
+// { markers:[{ text, re }], countAsFailure, issues:[{ ..., apiRe, checkRe }] }; throws on an invalid file
+function loadKnownIssues(root, file) {
+  const cfgFile = file || path.join(root, "known-issues.json");
+  const raw = fs.existsSync(cfgFile) ? JSON.parse(fs.readFileSync(cfgFile, "utf8")) : {};
+  if (raw.countAsFailure != null && typeof raw.countAsFailure !== "boolean") throw new Error(`${path.basename(cfgFile)}: "countAsFailure" must be true or false`);
+  const markers = (Array.isArray(raw.markers) ? raw.markers : DEFAULT_MARKERS).map(m => ({ text: String(m), re: toMatcher(m, false) }));
+  const issues = (raw.issues || []).map((it, i) => {
+    if (!it || (!it.api && !it.check)) throw new Error(`${path.basename(cfgFile)}: issues[${i}] needs "api" and/or "check"`);
+    return {
+      ...it,
+      apiRe: it.api ? toMatcher(it.api, true) : null,
+      checkRe: it.check ? toMatcher(it.check, true) : null
+    };
+  });
+  return { markers, countAsFailure: raw.countAsFailure !== false, issues };
+}
+
+const markerOf = (cfg, name) => cfg.markers.find(m => m.re.test(name));
+const stripMarker = (cfg, name) => cfg.markers.reduce((n, m) => n.replace(m.re, ''), String(name)).trim();
+
+function issueFor(cfg, names, check, iteration) {
+  return cfg.issues.find(it =>
+    (!it.apiRe || names.some(n => n && it.apiRe.test(n))) &&
+    (!it.checkRe || it.checkRe.test(check.name) || it.checkRe.test(check.message || '')) &&
+    (it.iteration == null || Number(it.iteration) === iteration));
+}
+
+/**
+ * tc: { checks:[{ name, ok, message }], iteration }, names: [api, folder, ...].
+ * Returns { known: boolean, issues:[{ check, reason, ticket }] }; known is false when
+ * any failed check is not covered.
+ */
+function classify(cfg, tc, names) {
+  const issues = [];
+  let uncovered = 0;
+  for (const c of tc.checks || []) {
+    if (c.ok) {
+      if (markerOf(cfg, c.name)) issues.push({ check: stripMarker(cfg, c.name), reason: 'Soft check failing', ticket: '' });
+      continue;
+    }
+    const hit = issueFor(cfg, names, c, tc.iteration);
+    if (hit) issues.push({ check: c.name, reason: hit.reason || 'Known issue', ticket: hit.ticket || '' });
+    else uncovered++;
+  }
+  return { known: issues.length > 0 && uncovered === 0, issues };
+}
+
+module.exports = { DEFAULT_MARKERS, loadKnownIssues, classify };
@@ -1,20 +1,27 @@
 #!/usr/bin/env node
 /**
- * make-business-summary.js — FINAL (tiles + single combined report, no trends)
+ * make-suite-report.js — per-suite report from a Newman JSON summary
  *
- * 1) Build per-suite HTML to OLD path (<output-html>) with inline expand + modals
- * 2) Save temp copy per Parent/Module:
- *      C:\Users\user\Documents\NewManCollectionList\Temp\<Parent>\<Module>_latest.html
- *    …and embed a hidden JSON list of that suite’s API names for the combiner.
- * 3) Combine ALL *_latest.html temps into ONE final file (overwrite):
- *      C:\Users\user\Documents\NewManCollectionList\EmailReports\Digital Api Automation Report.html
- *    Includes:
- *      - Header KPI tiles: Total / Passed / Failed / Pass % / Unique APIs
- *      - Summary bar chart: Total / Passed / Failed
+ * 1) Build per-suite HTML to <output-html> with inline expand + modals, and next to it
+ *    <name>.junit.xml / .ctrf.json / .results.csv (report-export.js)
+ * 2) Save temp copy per Parent/Module for combine-email-report.js:
+ *      <ROOT>\Temp\<Parent>\<Module>_latest.html
+ *      <ROOT>\Temp\<Parent>\<Module>_latest.json   versioned suite result (meta, folders,
+ *                                                  APIs, test cases, checks, timings)
  */
 
 const fs = require("fs");
 const path = require("path");
+const flaky = require("./flaky");
+const { toJUnitXml, toCtrf, RESULT_COLUMNS, caseRow, resultsTable, toCsv } = require("./report-export");
+const { writeXlsx } = require("./xlsx");
+const redact = require("./redact");
+const { barChart } = require("./svg-charts");
+const sla = require("./sla-config");
+const { readIterationData } = require("./iteration-data");
+const knownIssues = require("./known-issues");
+const failureCategory = require("./failure-category");
+const rerun = require("./rerun-failed");
 
 // ===== Root Paths =====
 const ROOT       = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
@@ -24,11 +31,41 @@ const EMAIL_ROOT = path.join(ROOT, "EmailReports");
 // ===== Args =====
 const [, , inFile, outFile, titleArg, slaArg] = process.argv;
 if (!inFile || !outFile) {
-  console.error("Usage: node make-business-summary.js <input-json> <output-html> [title] [slaMs]");
+  console.error("Usage: node make-suite-report.js <input-json> <output-html> [title] [slaMs] [--flaky-runs <n>] [--flaky-threshold <0-1>] [--no-flaky] [--environment <file>] [--redaction <file>] [--offline] [--sla-config <file>] [--data <csv|xlsx>] [--data-sheet <name>] [--known-issues <file>] [--no-retries] [--xlsx]");
   process.exit(1);
 }
 const TITLE  = titleArg || "Digital API Automation";
-const SLA_MS = Number.isFinite(parseInt(slaArg, 10)) ? parseInt(slaArg, 10) : 1000;
+const SLA_ARG_MS = Number.isFinite(parseInt(slaArg, 10)) ? parseInt(slaArg, 10) : null;
+
+// Optional flags after the positional args
+const FLAGS = process.argv.slice(6);
+const flagValue = (name, dflt) => { const i = FLAGS.indexOf(name); return i >= 0 && FLAGS[i+1] != null ? FLAGS[i+1] : dflt; };
+const FLAKY_OPTS = {
+  runs: parseInt(flagValue('--flaky-runs', flaky.DEFAULTS.runs), 10) || flaky.DEFAULTS.runs,
+  threshold: Number(flagValue('--flaky-threshold', flaky.DEFAULTS.threshold))
+};
+const FLAKY_ENABLED = !FLAGS.includes('--no-flaky');
+const ENV_FILE = flagValue('--environment', null);
+const REDACTION_FILE = flagValue('--redaction', null);
+const OFFLINE = FLAGS.includes('--offline');   // inline SVG charts, no CDN script
+const XLSX = FLAGS.includes('--xlsx');         // results table as .xlsx too
+
+// ===== SLA (per-API rules from sla.json; suite slaMs is the default) =====
+let SLA_CONFIG;
+try { SLA_CONFIG = sla.loadSlaConfig(ROOT, flagValue('--sla-config', null)); }
+catch (e) { console.error("❌ Failed to read SLA config:", e.message); process.exit(1); }
+const SLA_MS = SLA_ARG_MS != null ? SLA_ARG_MS : (SLA_CONFIG.defaultMs || 1000);
+const DATA_FILE = flagValue('--data', null);
+const DATA_SHEET = flagValue('--data-sheet', null);
+
+// ===== Known issues (soft-fail markers + known-issues.json) =====
+let KNOWN;
+try { KNOWN = knownIssues.loadKnownIssues(ROOT, flagValue('--known-issues', null)); }
+catch (e) { console.error("❌ Failed to read known issues:", e.message); process.exit(1); }
+// "Known Issue" counts as a failure only when known-issues.json says so
+const isFailure = tc => tc.result==='Fail' || (tc.result==='Known Issue' && KNOWN.countAsFailure);
+// "Passed on retry" (rerun-failed) counts as passed
+const isPassed = tc => tc.result==='Pass' || tc.result==='Passed on retry';
 
 // ===== Load Newman JSON =====
 let data;
@@ -38,22 +75,49 @@ catch (e) { console.error("❌ Failed to read/parse input JSON:", inFile, e.mess
 const execs      = data?.run?.executions || [];
 const collection = data?.collection || {};
 const startedAt  = data?.run?.timings?.started || data?.timestamp || new Date().toISOString();
+// Base environment + overlay as run (run-suite.js / env-overlay.js), secrets already masked
+const RESOLVED_ENV = data?.resolvedEnvironment || null;
+const SUITE_ENV = RESOLVED_ENV?.name || null;
+
+// ===== Redaction (before anything is embedded in the HTML) =====
+// Variable values from the run, plus the environment file for its "secret" types
+// (Newman drops the type of an environment passed as an object: resolvedEnvironment keeps it)
+let REDACTOR;
+try {
+  const secretKeys = new Set((RESOLVED_ENV?.values || []).filter(v => v.secret).map(v => v.key));
+  const envValues = [...(data?.environment?.values || []).map(v => secretKeys.has(v.key) ? { ...v, type: 'secret' } : v), ...(data?.globals?.values || [])];
+  if (ENV_FILE) envValues.push(...(JSON.parse(fs.readFileSync(ENV_FILE, "utf8")).values || []));
+  REDACTOR = redact.createRedactor(redact.loadConfig(ROOT, REDACTION_FILE), envValues);
+} catch (e) { console.error("❌ Failed to set up redaction:", e.message); process.exit(1); }
 
 // ===== Helpers =====
 const avg  = a => a.length ? Math.round(a.reduce((x,y)=>x+y,0)/a.length) : 0;
 const fmt  = n => Number.isFinite(n) ? n.toLocaleString() : (n==null?'—':String(n));
+const skipReason = c => String(c.ok ? c.name : (c.message || c.name)).replace(/^\s*\[skip\]\s*/i, '').trim() || 'Skipped';
 const esc  = s => String(s ?? '')
   .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
   .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
 const idfy = s => String(s||'').toLowerCase().replace(/[^a-z0-9]+/g,'-').replace(/(^-|-$)/g,'');
 const pretty = s => String(s||'').replace(/^SC_\d+_/,'').replace(/_/g,' ').trim() || 'Untitled';
 
+// <ROOT>\<Parent>\...\<Module>\Reports\<date>\file -> [Parent, Module]; null when not under ROOT
+function rootRelativeSuite(p){
+  const rel = path.relative(ROOT, path.resolve(p));
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return null;
+  const segs = rel.split(/[\\/]+/);
+  const r = segs.findIndex(x => /^reports$/i.test(x));
+  return r >= 2 ? [segs[0], segs[r-1]] : null;
+}
 function deriveParentFromPath(p){
+  const rel = rootRelativeSuite(p);
+  if (rel) return rel[0];
   const segs = String(path.resolve(p)).split(/[\\/]+/);
   const i = segs.findIndex(x => /newmancollectionlist/i.test(x));
   return (i>=0 && segs[i+1]) ? segs[i+1] : "Misc";
 }
 function deriveModuleFromPath(p){
+  const rel = rootRelativeSuite(p);
+  if (rel) return rel[1];
   const segs = String(path.resolve(p)).split(/[\\/]+/);
   const i = segs.findIndex(x => /newmancollectionlist/i.test(x));
   return (i>=0 && segs[i+2]) ? segs[i+2] : (collection?.info?.name?.split("-").pop()?.trim() || "Module");
@@ -113,6 +177,19 @@ function respBody(res) {
   return '';
 }
 
+// ===== Iteration data (expected status codes, planned iterations) =====
+let DATA_ROWS = null;
+if (DATA_FILE) {
+  try { DATA_ROWS = readIterationData(DATA_FILE, { sheet: DATA_SHEET }).rows; }
+  catch (e) { console.warn("⚠ Could not read data file, using Newman's iteration count:", e.message); }
+}
+const STATUS_COLUMNS = failureCategory.expectedStatusColumns(collection);
+
+// ===== Retries (rerun-failed) =====
+const RETRIES = FLAGS.includes('--no-retries') ? [] : rerun.retrySummaries(inFile);
+const RETRY_OUTCOMES = rerun.retryOutcomes(data, RETRIES);
+if (RETRIES.length) console.log(`✓ Merging ${RETRIES.length} retry run(s)`);
+
 // ===== Build test cases =====
 const testCases = execs.map(ex => {
   const assertions = ex?.assertions || [];
@@ -126,9 +203,10 @@ const testCases = execs.map(ex => {
   const checks = assertions.map(a=>({
     name: a.assertion || a.error?.test || a.error?.name || 'Assertion',
     ok: !a.error,
-    message: a.error ? String(a.error?.message||a.error?.stack||'').trim() : 'OK'
+    message: a.error ? REDACTOR.text(String(a.error?.message||a.error?.stack||'').trim()) : 'OK'
   }));
-  const isSkip = checks.some(c => /\bskip\b/i.test(c.name) || /\bskip\b/i.test(c.message));
+  const skipCheck = checks.find(c => /\bskip\b/i.test(c.name) || /\bskip\b/i.test(c.message));
+  const isSkip = !!skipCheck;
   let result;
   if (!ex)           result = 'Not Run';
   else if (isSkip)   result = 'Skipped';
@@ -143,53 +221,138 @@ const testCases = execs.map(ex => {
   const res  = ex?.response || {};
   const reqObj = {
     method : req.method || '',
-    url    : buildUrl(req.url),
-    headers: headersToObj(req.header || req.headers || req),
-    body   : parseJsonOrText(bodyFromRequest(req.body))
+    url    : REDACTOR.text(buildUrl(req.url)),
+    headers: REDACTOR.headers(headersToObj(req.header || req.headers || req)),
+    body   : REDACTOR.body(parseJsonOrText(bodyFromRequest(req.body)))
   };
   const resObj = {
     code   : res.code ?? '',
     status : res.status ?? '',
-    headers: headersToObj(res.header),
-    body   : parseJsonOrText(respBody(res))
+    headers: REDACTOR.headers(headersToObj(res.header)),
+    body   : REDACTOR.body(parseJsonOrText(respBody(res)))
   };
   const reqB64 = Buffer.from(JSON.stringify(reqObj),'utf8').toString('base64');
   const resB64 = Buffer.from(JSON.stringify(resObj),'utf8').toString('base64');
 
+  const slaMs = sla.slaFor(SLA_CONFIG, [pretty(api), api, pretty(group), group], SLA_MS);
+
+  const iteration = (ex?.cursor?.iteration ?? 0)+1;
+  const known = (result==='Pass' || result==='Fail')
+    ? knownIssues.classify(KNOWN, { checks, iteration }, [pretty(api), api, pretty(group), group])
+    : { known: false, issues: [] };
+  if (known.known) result = 'Known Issue';
+  const statusColumn = STATUS_COLUMNS.get(ex?.item?.id);
+  const category = (result==='Fail' || result==='Known Issue')
+    ? failureCategory.categorize(ex, { expectedStatus: statusColumn && DATA_ROWS?.[iteration-1]?.[statusColumn] })
+    : null;
+  const attempts = (RETRY_OUTCOMES.get(`${ex?.item?.id}|${ex?.cursor?.iteration ?? 0}`) || [])
+    .map(a => ({ ...a, failed: a.failed.map(REDACTOR.text) }));
+  if (result==='Fail' && attempts.some(a => a.result==='Pass')) result = 'Passed on retry';
+
   return {
     id: idfy(`${api}-${(ex?.cursor?.iteration ?? 0)+1}`),
+    flakeKey: flaky.caseKey(ex),
+    slaMs, slaBreach: respMs != null && respMs > slaMs,
+    reason: isSkip ? skipReason(skipCheck) : '',
+    knownIssues: known.issues,
+    category,
+    attempts,
     group, api,
-    iteration: (ex?.cursor?.iteration ?? 0)+1,
-    tcId: 'TC' + String((ex?.cursor?.iteration ?? 0)+1).padStart(3,'0'),
+    iteration,
+    tcId: 'TC' + String(iteration).padStart(3,'0'),
     result, checksPassed: passed, checksFailed: failed, checksTotal: total,
     statusCode, respMs, checks, reqB64, resB64
   };
 });
 
+// ===== Not Run: requests x data iterations with no execution =====
+// Planned iterations = rows in the CSV (when given), else what Newman reports
+function plannedIterations() {
+  return DATA_ROWS ? DATA_ROWS.length : (data?.run?.stats?.iterations?.total || 0);
+}
+function leafItems(items) {
+  return (items || []).flatMap(it => Array.isArray(it.item) ? leafItems(it.item) : (it.request ? [it] : []));
+}
+const ITERATIONS = plannedIterations();
+const REQUESTS = leafItems(collection.item).length;
+const ranIterations = data?.run?.stats?.iterations?.total || 0;
+const executedKeys = new Set(execs.map(ex => `${ex?.item?.id}|${ex?.cursor?.iteration ?? 0}`));
+for (const item of leafItems(collection.item)) {
+  for (let i = 0; i < ITERATIONS; i++) {
+    if (executedKeys.has(`${item.id}|${i}`)) continue;
+    const api = item.name || 'Request';
+    testCases.push({
+      id: idfy(`${api}-${i+1}-notrun`), flakeKey: null,
+      group: api.split('/')[0] || 'Ungrouped', api,
+      iteration: i+1, tcId: 'TC' + String(i+1).padStart(3,'0'),
+      result: 'Not Run', checksPassed: 0, checksFailed: 0, checksTotal: 0,
+      statusCode: '', respMs: null, checks: [], slaMs: null, slaBreach: false, category: null, attempts: [],
+      reason: data?.run?.error ? 'Run aborted: ' + (data.run.error.message || data.run.error)
+        : i >= ranIterations ? 'Run stopped before this iteration'
+        : 'Request not executed in this iteration'
+    });
+  }
+}
+
+// ===== Flakiness (previous summary JSONs of this suite) =====
+const FLAKY_SCORES = FLAKY_ENABLED ? flaky.scoreFlakiness(data, inFile, FLAKY_OPTS) : new Map();
+for (const tc of testCases) {
+  const f = FLAKY_SCORES.get(tc.flakeKey);
+  tc.flaky = f && f.flaky ? { score: f.score, runs: f.runs, flips: f.flips } : null;
+}
+const flakyBadge = tc => tc.flaky
+  ? '<span class="badge flaky" title="Flipped ' + tc.flaky.flips + ' time(s) in the last ' + tc.flaky.runs + ' runs (score ' + tc.flaky.score.toFixed(2) + ')">FLAKY</span> '
+  : '';
+
+// ===== Filter toolbar (per-case data attributes, read by the inline script) =====
+const RESULT_ORDER = ['Pass','Passed on retry','Fail','Known Issue','Skipped','Not Run'];
+const resultKey = result => idfy(result);   // pass | passed-on-retry | fail | known-issue | skipped | not-run
+const filterAttrs = tc => ' data-result="' + resultKey(tc.result) + '"' +
+  ' data-code="' + esc(tc.statusCode) + '"' +
+  ' data-folder="' + idfy(tc.group || 'Ungrouped') + '"' +
+  ' data-sla="' + (tc.slaBreach ? 1 : 0) + '"' +
+  ' data-fail="' + (isFailure(tc) ? 1 : 0) + '"' +
+  ' data-ms="' + (Number.isFinite(tc.respMs) ? tc.respMs : '') + '"' +
+  ' data-q="' + esc([tc.tcId, pretty(tc.api), tc.api, pretty(tc.group), tc.category, tc.reason,
+      ...tc.checks.flatMap(c => [c.name, c.ok ? '' : c.message])].filter(Boolean).join(' ').toLowerCase()) + '"';
+
 // ===== Aggregations =====
-const considered = testCases.filter(tc => tc.result==='Pass' || tc.result==='Fail');
+const considered = testCases.filter(tc => isPassed(tc) || tc.result==='Fail' || tc.result==='Known Issue');
 const totalCases = considered.length;
-const passedCases= considered.filter(t=>t.result==='Pass').length;
-const failedCases= considered.filter(t=>t.result==='Fail').length;
-const passPct    = totalCases?Math.round(100*passedCases/totalCases):0;
-const withinSLA  = considered.filter(t=>Number.isFinite(t.respMs)&&t.respMs<=SLA_MS).length;
+const passedCases= considered.filter(isPassed).length;
+const retryPassedCases = considered.filter(t=>t.result==='Passed on retry').length;
+const failedCases= considered.filter(isFailure).length;
+const knownCases = considered.filter(t=>t.result==='Known Issue');
+const passPct    = totalCases?Math.round(100*(totalCases-failedCases)/totalCases):0;
+const withinSLA  = considered.filter(t=>Number.isFinite(t.respMs)&&t.respMs<=t.slaMs).length;
 const withinPct  = totalCases?Math.round(100*withinSLA/totalCases):0;
+const skippedCases = testCases.filter(t=>t.result==='Skipped');
+const notRunCases  = testCases.filter(t=>t.result==='Not Run');
+const notExecuted  = [...skippedCases, ...notRunCases];
 
 // Folders
 const byFolder = new Map();
-for (const tc of considered) {
+for (const tc of testCases) {
   const g = tc.group || 'Ungrouped';
-  const a = byFolder.get(g) || { group:g, total:0, pass:0, fail:0, resp:[], apis:[] };
-  a.total++; if (tc.result==='Pass') a.pass++; else a.fail++;
+  const a = byFolder.get(g) || { group:g, total:0, pass:0, fail:0, known:0, retryPassed:0, skipped:0, notRun:0, resp:[], apis:[] };
+  byFolder.set(g,a);
+  if (tc.result==='Skipped') { a.skipped++; continue; }
+  if (tc.result==='Not Run') { a.notRun++; continue; }
+  a.total++;
+  if (isPassed(tc)) a.pass++;
+  if (tc.result==='Passed on retry') a.retryPassed++;
+  if (tc.result==='Known Issue') a.known++;
+  if (isFailure(tc)) a.fail++;
   if (Number.isFinite(tc.respMs)) a.resp.push(tc.respMs);
   a.apis.push(tc);
-  byFolder.set(g,a);
 }
 const folderRows = Array.from(byFolder.values()).map(r => ({
   group:r.group, pretty:pretty(r.group),
-  total:r.total, pass:r.pass, fail:r.fail,
-  passPct: r.total ? Math.round(100*r.pass/r.total) : 0,
+  total:r.total, pass:r.pass, fail:r.fail, known:r.known, retryPassed:r.retryPassed, skipped:r.skipped, notRun:r.notRun,
+  passPct: r.total ? Math.round(100*(r.total-r.fail)/r.total) : 0,
   avgMs: avg(r.resp),
+  latency: sla.latencyStats(r.resp),
+  breaches: r.apis.filter(tc=>tc.slaBreach).length,
   apis: r.apis
 })).sort((a,b)=>a.pretty.localeCompare(b.pretty));
 
@@ -209,11 +372,13 @@ for (const tc of considered) {
 function buildApiSummaryForFolder(folderName){
   const executedMap = folderToApiMap.get(folderName) || new Map();
   return [...executedMap.entries()].map(([api, cases])=>{
-    const pass = cases.filter(c=>c.result==='Pass').length;
-    const fail = cases.filter(c=>c.result==='Fail').length;
-    const tot  = pass + fail;
-    const pct  = tot ? Math.round(100*pass/tot) : 0;
-    return { api, pretty: pretty(api), pass, fail, tot, pct };
+    const pass = cases.filter(isPassed).length;
+    const fail = cases.filter(isFailure).length;
+    const known= cases.filter(c=>c.result==='Known Issue').length;
+    const tot  = cases.length;
+    const pct  = tot ? Math.round(100*(tot-fail)/tot) : 0;
+    const latency = sla.latencyStats(cases.map(c=>c.respMs));
+    return { api, pretty: pretty(api), pass, fail, known, tot, pct, slaMs: cases[0].slaMs, latency, breaches: cases.filter(c=>c.slaBreach).length };
   });
 }
 const API_SUMMARY = Object.fromEntries(
@@ -230,7 +395,7 @@ const css = `
 body{font-family:Inter,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;margin:24px;background:var(--bg);color:var(--text)}
 h1{margin:0 0 6px;font-size:34px}
 small{color:var(--muted)}
-.kpis{display:grid;grid-template-columns:repeat(5,minmax(0,1fr));gap:14px;margin:16px 0}
+.kpis{display:grid;grid-template-columns:repeat(8,minmax(0,1fr));gap:14px;margin:16px 0}
 @media(max-width:1200px){.kpis{grid-template-columns:repeat(3,minmax(0,1fr))}}
 @media(max-width:760px){.kpis{grid-template-columns:repeat(2,minmax(0,1fr))}}
 .kpi{background:var(--card);border:1px solid var(--line);border-radius:16px;padding:16px}
@@ -247,6 +412,16 @@ tr:last-child td{border-bottom:none}
 .badge{display:inline-block;padding:2px 8px;border-radius:999px;font-size:12px}
 .badge.pass{background:#dcfce7;color:var(--ok)}
 .badge.fail{background:#fee2e2;color:var(--ng)}
+.badge.flaky{background:#ede9fe;color:#5b21b6}
+.badge.breach{background:#ffedd5;color:#9a3412}
+.badge.skip{background:#e0f2fe;color:#075985}
+.badge.known{background:#fef9c3;color:#854d0e}
+.badge.cat{background:#fce7f3;color:#9d174d}
+.badge.retry{background:#d1fae5;color:#065f46}
+.known-box{margin:6px 0;padding:6px 10px;border-radius:8px;background:#fefce8;border:1px solid #fde68a}
+.badge.notrun{background:#f1f5f9;color:#475569}
+table.lat td.n,table.lat th.n{text-align:right}
+table.lat tr.api td:first-child{padding-left:32px;color:var(--muted)}
 /* Inline expand card */
 tr.subrow td{background:#f9fafb;border-top:none;padding:0}
 .expand-card{
@@ -265,6 +440,11 @@ summary{cursor:pointer;padding:12px 14px;background:#f8fafc;display:flex;gap:10p
 summary button{margin-left:auto}
 .block{padding:12px;border-top:1px solid var(--line)}
 .muted{color:var(--muted)}
+.toolbar{position:sticky;top:0;z-index:5;display:flex;flex-wrap:wrap;gap:8px 12px;align-items:center;padding:10px 16px}
+.toolbar select,.toolbar input[type=search]{padding:6px 8px;border:1px solid var(--line);border-radius:8px;font:inherit;background:#fff}
+.toolbar input[type=search]{flex:1 1 220px;min-width:180px}
+.toolbar label{display:inline-flex;gap:4px;align-items:center;white-space:nowrap}
+@media print{.toolbar{display:none}}
 .modal{position:fixed;inset:0;display:none}
 .modal.show{display:block}
 .modal .backdrop{position:absolute;inset:0;background:rgba(0,0,0,.35)}
@@ -289,25 +469,33 @@ const html = `<!doctype html>
 <meta name="viewport" content="width=device-width,initial-scale=1"/>
 <meta name="suite-parent" content="${esc(SUITE_PARENT)}"/>
 <meta name="suite-module" content="${esc(SUITE_MODULE)}"/>
-<title>${esc(TITLE)}</title>
+${SUITE_ENV ? '<meta name="suite-env" content="' + esc(SUITE_ENV) + '"/>\n' : ''}<title>${esc(TITLE)}</title>
 <style>${css}</style>
 </head>
 <body>
   <h1>${esc(TITLE)}</h1>
-  <small>Generated: ${new Date(startedAt).toLocaleString()}</small>
+  <small>Generated: ${new Date(startedAt).toLocaleString()}${RESOLVED_ENV?.name ? ' · Environment: <b>' + esc(RESOLVED_ENV.name) + '</b>' : ''}</small>
 
   <div class="kpis">
     <div class="kpi"><b>${fmt(passPct)}%</b><span>Pass Rate</span></div>
     <div class="kpi"><b>${fmt(totalCases)}</b><span>Total Test Cases</span></div>
-    <div class="kpi"><b>${fmt(passedCases)}</b><span>Passed</span></div>
+    <div class="kpi"><b>${fmt(passedCases)}</b><span>Passed${retryPassedCases ? ' (' + fmt(retryPassedCases) + ' on retry)' : ''}</span></div>
     <div class="kpi"><b>${fmt(failedCases)}</b><span>Failed</span></div>
-    <div class="kpi"><b>${fmt(withinPct)}%</b><span>Within SLA (${fmt(SLA_MS)} ms)</span></div>
+    <div class="kpi"><b>${fmt(withinPct)}%</b><span>Within SLA (${SLA_CONFIG.rules.length ? 'per API' : fmt(SLA_MS) + ' ms'})</span></div>
+    <div class="kpi"><b>${fmt(skippedCases.length)}</b><span>Skipped</span></div>
+    <div class="kpi"><b>${fmt(notRunCases.length)}</b><span>Not Run</span></div>
+    <div class="kpi"><b>${fmt(knownCases.length)}</b><span>Known Issues${KNOWN.countAsFailure ? ' (counted as failed)' : ''}</span></div>
   </div>
+  <small>Planned: ${fmt(testCases.length)} test case(s) = ${fmt(ITERATIONS)} data iteration(s) × ${fmt(REQUESTS)} request(s)
+    · ${fmt(totalCases)} executed · ${fmt(skippedCases.length)} skipped · ${fmt(notRunCases.length)} not run</small>
 
   <div class="card">
     <div class="canvas-row">
+      ${OFFLINE ? `
+      <div class="chart-box">${barChart(folderRows.map(r => pretty(r.group)), folderRows.map(r => r.passPct), { title: 'Pass % by Folder', xMax: 100, unit: '%', color: '#16a34a' })}</div>
+      <div class="chart-box">${barChart(folderRows.map(r => pretty(r.group)), folderRows.map(r => r.avgMs), { title: 'Average Response Time (ms) by Folder', unit: ' ms' })}</div>` : `
       <div class="chart-box"><canvas id="barPass"></canvas></div>
-      <div class="chart-box"><canvas id="barResp"></canvas></div>
+      <div class="chart-box"><canvas id="barResp"></canvas></div>`}
     </div>
   </div>
 
@@ -322,6 +510,9 @@ const html = `<!doctype html>
           <th>Total</th>
           <th>Pass %</th>
           <th>Avg Resp (ms)</th>
+          <th>Skipped</th>
+          <th>Not Run</th>
+          <th>Known Issues</th>
         </tr>
       </thead>
       <tbody>
@@ -335,9 +526,12 @@ const html = `<!doctype html>
               <td>${fmt(r.total)}</td>
               <td>${fmt(r.passPct)}%</td>
               <td>${fmt(r.avgMs)}</td>
+              <td>${r.skipped ? '<span class="badge skip">' + fmt(r.skipped) + '</span>' : '0'}</td>
+              <td>${r.notRun ? '<span class="badge notrun">' + fmt(r.notRun) + '</span>' : '0'}</td>
+              <td>${r.known ? '<span class="badge known">' + fmt(r.known) + '</span>' : '0'}</td>
             </tr>
             <tr class="subrow" id="sub-${fid}" style="display:none">
-              <td colspan="6">
+              <td colspan="9">
                 <div class="expand-card" id="box-${fid}">
                   <span class="muted">Loading…</span>
                 </div>
@@ -349,7 +543,85 @@ const html = `<!doctype html>
   </div>
 
   <div class="card">
+    <h3 style="margin:0 0 8px">Response Times by <b>Folder</b> / API (ms)</h3>
+    <table class="lat">
+      <thead>
+        <tr>
+          <th>Folder / API</th><th class="n">SLA</th><th class="n">p50</th><th class="n">p90</th>
+          <th class="n">p95</th><th class="n">p99</th><th class="n">Max</th><th class="n">SLA Breaches</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${folderRows.map(r => {
+          const latRow = (cls, name, slaMs, l, breaches) =>
+            '<tr class="' + cls + '"><td>' + esc(name) + '</td><td class="n">' + (slaMs != null ? fmt(slaMs) : '—') + '</td>' +
+            ['p50','p90','p95','p99','max'].map(k => '<td class="n">' + fmt(l[k]) + '</td>').join('') +
+            '<td class="n">' + (breaches ? '<span class="badge breach">' + fmt(breaches) + '</span>' : '0') + '</td></tr>';
+          const slas = [...new Set(r.apis.map(tc => tc.slaMs))];
+          return latRow('folder', r.pretty, slas.length === 1 ? slas[0] : null, r.latency, r.breaches) +
+            (API_SUMMARY[r.group] || []).map(a => latRow('api', a.pretty, a.slaMs, a.latency, a.breaches)).join('');
+        }).join('')}
+      </tbody>
+    </table>
+  </div>
+${RESOLVED_ENV ? `
+  <div class="card">
+    <h3 style="margin:0 0 8px">Environment${RESOLVED_ENV.name ? ': <b>' + esc(RESOLVED_ENV.name) + '</b>' : ''}</h3>
+    <div class="muted" style="margin:0 0 8px">Layers: ${esc((RESOLVED_ENV.layers || []).join(' → '))} · secret values are masked</div>
+    <table>
+      <thead><tr><th>Key</th><th>Value</th><th>Source</th></tr></thead>
+      <tbody>
+        ${(RESOLVED_ENV.values || []).map(v =>
+          '<tr><td>' + esc(v.key) + '</td><td' + (v.secret ? ' class="muted"' : '') + '>' + esc(REDACTOR.text(String(v.value ?? ''))) + '</td><td>' + esc(v.source) + '</td></tr>'
+        ).join('')}
+      </tbody>
+    </table>
+  </div>` : ''}
+
+  <div class="card toolbar" id="filters">
+    <select id="fResult" title="Result">
+      <option value="">All results</option>
+      ${RESULT_ORDER.filter(res => testCases.some(tc => tc.result === res)).map(res => '<option value="' + resultKey(res) + '">' + esc(res) + '</option>').join('')}
+    </select>
+    <select id="fCode" title="Status code">
+      <option value="">All status codes</option>
+      ${[...new Set(testCases.map(tc => String(tc.statusCode)).filter(Boolean))].sort().map(c => '<option value="' + esc(c) + '">' + esc(c) + '</option>').join('')}
+    </select>
+    <select id="fFolder" title="Folder">
+      <option value="">All folders</option>
+      ${[...new Set(testCases.map(tc => tc.group || 'Ungrouped'))].sort((a,b)=>pretty(a).localeCompare(pretty(b))).map(g => '<option value="' + idfy(g) + '">' + esc(pretty(g)) + '</option>').join('')}
+    </select>
+    <label><input type="checkbox" id="fSla"/> SLA breach</label>
+    <label><input type="checkbox" id="fFail"/> Failures only</label>
+    <input type="search" id="fQ" placeholder="Search API names and assertion messages"/>
+    <select id="fSort" title="Order of the test cases of each API">
+      <option value="">Iteration order</option>
+      <option value="slow">Slowest first</option>
+      <option value="fast">Fastest first</option>
+    </select>
+    <button id="fReset" class="btn-mini">Reset</button>
+    <button id="csvDownload" class="btn-mini" title="Every test case as CSV (Excel)">Download CSV</button>
+    <span class="muted" id="fCount"></span>
+  </div>
+
+  <div class="card">
+    <h3 style="margin:0 0 8px">Skipped &amp; Not Run</h3>
+    ${
+      notExecuted.length
+        ? '<table><thead><tr><th>Test Case</th><th>Folder</th><th>Status</th><th>Reason</th></tr></thead><tbody>' +
+            notExecuted.map(tc =>
+              '<tr' + filterAttrs(tc) + '><td>' + tc.tcId + '-' + esc(pretty(tc.api)) + '</td><td>' + esc(pretty(tc.group)) + '</td>' +
+              '<td><span class="badge ' + (tc.result==='Skipped' ? 'skip' : 'notrun') + '">' + tc.result.toUpperCase() + '</span></td>' +
+              '<td>' + esc(tc.reason) + '</td></tr>'
+            ).join('') +
+          '</tbody></table>'
+        : '<div class="muted">Every planned test case was executed.</div>'
+    }
+  </div>
+
+  <div class="card" id="details">
     <h3 style="margin:0 0 8px">Folder-wise Execution Details (APIs & Checks)</h3>
+    <div class="muted" id="fEmpty" style="display:none">No test cases match the filters.</div>
     ${
       folderRows.length
         ? folderRows.map(fr => {
@@ -360,26 +632,34 @@ const html = `<!doctype html>
                 '<summary><b>' + esc(pretty(fr.group)) + '</b> — ' + apiNames.length + ' API(s)</summary>' +
                 apiNames.map(apiName => {
                   const cases = (apimap[apiName] || []).sort((a,b)=>a.iteration-b.iteration);
-                  const passCnt = cases.filter(c=>c.result==='Pass').length;
-                  const failCnt = cases.filter(c=>c.result==='Fail').length;
+                  const passCnt = cases.filter(isPassed).length;
+                  const failCnt = cases.filter(isFailure).length;
+                  const knownCnt = cases.filter(c=>c.result==='Known Issue').length;
                   return (
                     '<details id="api-' + idfy(fr.group + '-' + apiName) + '" style="margin:8px 12px">' +
                       '<summary><b>'+esc(pretty(apiName))+'</b> — ' + cases.length + ' case(s) · '+
                         '<span class="badge pass">'+passCnt+'</span> '+
-                        '<span class="badge fail">'+failCnt+'</span></summary>' +
+                        '<span class="badge fail">'+failCnt+'</span>'+
+                        (knownCnt ? ' <span class="badge known">'+knownCnt+'</span>' : '')+'</summary>' +
                       cases.map(tc =>
-                        '<div class="block" id="'+tc.id+'">' +
+                        '<div class="block" id="'+tc.id+'"' + filterAttrs(tc) + '>' +
                           '<div>' +
-                            '<span class="badge ' + (tc.result==='Pass' ? 'pass' : 'fail') + '">' + tc.result.toUpperCase() + '</span> ' +
+                            '<span class="badge ' + (tc.result==='Pass' ? 'pass' : tc.result==='Passed on retry' ? 'retry' : tc.result==='Known Issue' ? 'known' : 'fail') + '">' + tc.result.toUpperCase() + '</span> ' + flakyBadge(tc) +
+                            (tc.category ? '<span class="badge cat" title="Failure category">' + esc(tc.category) + '</span> ' : '') +
                             '<b>' + tc.tcId + '-' + esc(pretty(apiName)) + '</b> ' +
                             (tc.statusCode ? '· <b>Status:</b> ' + tc.statusCode + ' ' : '') +
                             (Number.isFinite(tc.respMs) ? '· <b>Resp:</b> ' + fmt(tc.respMs) + ' ms ' : '') +
+                            (tc.slaBreach ? '<span class="badge breach" title="SLA ' + fmt(tc.slaMs) + ' ms">SLA BREACH</span> ' : '') +
                             '<button class="btn-mini" data-open="req" data-for="' + tc.id + '">View Request</button>' +
                             ' <button class="btn-mini" data-open="res" data-for="' + tc.id + '">View Response</button>' +
                           '</div>' +
                           '<script type="application/json" id="payload-req-' + tc.id + '">' + tc.reqB64 + '</script>' +
                           '<script type="application/json" id="payload-res-' + tc.id + '">' + tc.resB64 + '</script>' +
                           '<div><b>Checks:</b> ' + fmt(tc.checksPassed) + ' / ' + fmt(tc.checksTotal) + '</div>' +
+                          (tc.knownIssues.length
+                            ? '<div class="known-box"><b>Known issue:</b> ' + tc.knownIssues.map(k =>
+                                esc(k.reason) + ' — ' + esc(k.check) + (k.ticket ? ' (' + esc(k.ticket) + ')' : '')).join('; ') + '</div>'
+                            : '') +
                           (
                             tc.checks.length
                               ? ('<table class="checks"><thead><tr><th>#</th><th>Assertion</th><th>Status</th><th>Message</th></tr></thead><tbody>'+
@@ -387,6 +667,13 @@ const html = `<!doctype html>
                                  '</tbody></table>')
                               : '<div class="muted">— no assertions —</div>'
                           ) +
+                          (tc.attempts.length
+                            ? '<table class="attempts"><thead><tr><th>Attempt</th><th>Result</th><th>Status</th><th>Resp (ms)</th><th>Failed checks</th></tr></thead><tbody>' +
+                                '<tr><td>1 (first run, checks above)</td><td>FAIL</td><td>' + esc(tc.statusCode) + '</td><td>' + fmt(tc.respMs) + '</td><td>' + fmt(tc.checksFailed) + '</td></tr>' +
+                                tc.attempts.map(a => '<tr><td>' + a.attempt + '</td><td>' + (a.result==='Pass' ? '<span class="badge pass">PASS</span>' : esc(a.result.toUpperCase())) + '</td>' +
+                                  '<td>' + esc(a.statusCode) + '</td><td>' + fmt(a.respMs) + '</td><td>' + (a.failed.length ? esc(a.failed.join('; ')) : '—') + '</td></tr>').join('') +
+                              '</tbody></table>'
+                            : '') +
                         '</div>'
                       ).join('') +
                     '</details>'
@@ -402,6 +689,9 @@ const html = `<!doctype html>
   <!-- Hidden JSON: suite API list (for combiner unique count) -->
   <script type="application/json" id="suite-apis">${JSON.stringify([...suiteApiSet])}</script>
 
+  <!-- Hidden JSON: results table (header + one row per test case) for "Download CSV" -->
+  <script type="application/json" id="case-rows">${JSON.stringify([RESULT_COLUMNS, ...testCases.map(tc => caseRow({ parent: SUITE_PARENT, module: SUITE_MODULE }, tc))]).replace(/</g, '\\u003c')}</script>
+
   <!-- Modal -->
   <div class="modal" id="modal">
     <div class="backdrop" data-close="1"></div>
@@ -416,7 +706,7 @@ const html = `<!doctype html>
     </div>
   </div>
 
-  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+  ${OFFLINE ? '' : '<script src="https://cdn.jsdelivr.net/npm/chart.js"></script>'}
   <script>
   const DATA = ${JSON.stringify({
     labels: folderRows.map(r => pretty(r.group)),
@@ -440,6 +730,7 @@ const html = `<!doctype html>
 
   let chartPass = null, chartResp = null;
   function buildCharts(){
+    if (typeof Chart === 'undefined') return;   // offline report: charts are inline SVG
     const labels = DATA.labels || [];
     const h = computeChartHeight(labels.length);
     const c1 = document.getElementById('barPass');
@@ -537,21 +828,202 @@ const html = `<!doctype html>
     document.addEventListener('keydown',e=>{ if(e.key==='Escape') closeModal(); });
   })();
 
+  // Filter toolbar; state kept in the URL hash (#result=fail&q=timeout…) so links can be shared
+  (function(){
+    const FIELDS = { result:'fResult', code:'fCode', folder:'fFolder', sla:'fSla', fail:'fFail', q:'fQ', sort:'fSort' };
+    const field = k => document.getElementById(FIELDS[k]);
+    const cases = [...document.querySelectorAll('[data-result]')];
+    cases.forEach((n,i) => n.dataset.idx = i);
+
+    function readState(){
+      const s = {};
+      for (const k in FIELDS) { const f = field(k); s[k] = f.type === 'checkbox' ? (f.checked ? '1' : '') : f.value.trim(); }
+      return s;
+    }
+    function writeState(s){
+      for (const k in FIELDS) {
+        const f = field(k);
+        if (f.type === 'checkbox') f.checked = s[k] === '1';
+        else f.value = s[k] || '';
+        if (f.tagName === 'SELECT' && f.selectedIndex < 0) f.value = '';   // value not in this report
+      }
+    }
+    function fromHash(){
+      if (!location.hash.includes('=')) return null;                       // plain #anchor
+      const p = new URLSearchParams(location.hash.slice(1));
+      const s = {};
+      for (const k in FIELDS) s[k] = p.get(k) || '';
+      return s;
+    }
+    function toHash(s){
+      const p = new URLSearchParams();
+      for (const k in FIELDS) if (s[k]) p.set(k, s[k]);
+      const h = p.toString();
+      if (h || fromHash()) history.replaceState(null, '', h ? '#' + h : location.pathname + location.search);
+    }
+    function matches(d, s, words){
+      if (s.result && d.result !== s.result) return false;
+      if (s.code && d.code !== s.code) return false;
+      if (s.folder && d.folder !== s.folder) return false;
+      if (s.sla && d.sla !== '1') return false;
+      if (s.fail && d.fail !== '1') return false;
+      return words.every(w => d.q.includes(w));
+    }
+    function sortCases(order){
+      const key = n => n.dataset.ms === '' ? null : Number(n.dataset.ms);
+      document.querySelectorAll('#details details details').forEach(api => {
+        const blocks = [...api.querySelectorAll(':scope > .block')];
+        blocks.sort((a,b) => {
+          if (order) {
+            const x = key(a), y = key(b);
+            if (x !== y) return x == null ? 1 : y == null ? -1 : (order === 'slow' ? y - x : x - y);
+          }
+          return a.dataset.idx - b.dataset.idx;
+        }).forEach(b => api.appendChild(b));
+      });
+    }
+    function apply(){
+      const s = readState();
+      toHash(s);
+      const active = Object.keys(FIELDS).some(k => k !== 'sort' && s[k]);
+      const words = s.q.toLowerCase().split(' ').filter(Boolean);
+      let shown = 0;
+      cases.forEach(n => {
+        const ok = matches(n.dataset, s, words);
+        n.style.display = ok ? '' : 'none';
+        if (ok) shown++;
+      });
+      // API and folder blocks: hide the ones without a match, open the others while filtering
+      document.querySelectorAll('#details details').forEach(d => {
+        const any = [...d.querySelectorAll('.block[data-result]')].some(b => b.style.display !== 'none');
+        d.style.display = any ? '' : 'none';
+        if (active) d.open = any;
+      });
+      sortCases(s.sort);
+      document.getElementById('fEmpty').style.display = cases.some(n => n.classList.contains('block') && n.style.display !== 'none') ? 'none' : '';
+      document.getElementById('fCount').textContent = active ? 'Showing ' + shown + ' of ' + cases.length + ' test case(s)' : cases.length + ' test case(s)';
+    }
+
+    for (const k in FIELDS) field(k).addEventListener(k === 'q' ? 'input' : 'change', apply);
+    document.getElementById('fReset').addEventListener('click', () => { writeState({}); apply(); });
+    window.addEventListener('hashchange', () => { const s = fromHash(); if (s) { writeState(s); apply(); } });
+    const initial = fromHash();
+    if (initial) writeState(initial);
+    apply();
+  })();
+
+  // Results table as CSV, built in the browser (same columns as <name>.results.csv)
+  document.getElementById('csvDownload').addEventListener('click', () => {
+    const rows = JSON.parse(document.getElementById('case-rows').textContent);
+    const cell = v => {
+      let s = String(v == null ? '' : v);
+      if (typeof v === 'string' && /^[=+\\-@]/.test(s)) s = "'" + s;
+      return /[",\\r\\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+    };
+    const csv = '\\uFEFF' + rows.map(r => r.map(cell).join(',')).join('\\r\\n') + '\\r\\n';
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    a.download = ${JSON.stringify(path.basename(outFile).replace(/\.html?$/i, '') + '.results.csv')};
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => { URL.revokeObjectURL(a.href); a.remove(); }, 0);
+  });
+
   window.addEventListener('resize', ()=>{ clearTimeout(window.__rt); window.__rt=setTimeout(buildCharts,150); });
   </script>
 </body>
 </html>`;
 
+// ===== Suite result sidecar (read by combine-email-report.js) =====
+// Bump RESULT_VERSION on breaking shape changes; the combiner falls back to HTML for unknown versions.
+const RESULT_VERSION = 1;
+const RESULT = {
+  schema: "suite-result",
+  version: RESULT_VERSION,
+  meta: {
+    title: TITLE,
+    parent: SUITE_PARENT,
+    module: SUITE_MODULE,
+    collection: collection?.info?.name || '',
+    environment: SUITE_ENV,
+    startedAt: new Date(startedAt).toISOString(),
+    generatedAt: new Date().toISOString(),
+    slaMs: SLA_MS,
+    slaRules: SLA_CONFIG.rules.map(r => ({ match: r.match, ms: r.ms })),
+    source: path.basename(inFile),
+    html: path.basename(outFile),
+    htmlPath: path.resolve(outFile)
+  },
+  totals: {
+    cases: totalCases, passed: passedCases, failed: failedCases, passPct,
+    withinSla: withinSLA, withinPct,
+    skipped: skippedCases.length, notRun: notRunCases.length,
+    known: knownCases.length, knownCountedAsFailure: KNOWN.countAsFailure,
+    retryPassed: retryPassedCases, retryRuns: RETRIES.length,
+    planned: testCases.length, iterations: ITERATIONS, requests: REQUESTS,
+    slaBreaches: considered.filter(t=>t.slaBreach).length,
+    latency: sla.latencyStats(considered.map(t=>t.respMs)),
+    flaky: considered.filter(t=>t.flaky).length,
+    flakyFailed: considered.filter(t=>t.flaky && isFailure(t)).length,
+    categories: Object.fromEntries(failureCategory.countByCategory(considered.filter(isFailure).map(t=>t.category)).map(c => [c.label, c.count])),
+    avgMs: avg(considered.filter(t=>Number.isFinite(t.respMs)).map(t=>t.respMs))
+  },
+  timings: {
+    started: data?.run?.timings?.started ?? null,
+    completed: data?.run?.timings?.completed ?? null,
+    responseAverage: data?.run?.timings?.responseAverage ?? null,
+    responseMin: data?.run?.timings?.responseMin ?? null,
+    responseMax: data?.run?.timings?.responseMax ?? null
+  },
+  apis: [...suiteApiSet],
+  folders: folderRows.map(r => ({
+    group: r.group, pretty: r.pretty,
+    total: r.total, pass: r.pass, fail: r.fail, passPct: r.passPct, avgMs: r.avgMs,
+    latency: r.latency, breaches: r.breaches, skipped: r.skipped, notRun: r.notRun, known: r.known, retryPassed: r.retryPassed,
+    apis: API_SUMMARY[r.group] || []
+  })),
+  testCases: testCases.map(tc => ({
+    id: tc.id, group: tc.group, api: tc.api, iteration: tc.iteration, tcId: tc.tcId,
+    result: tc.result, statusCode: tc.statusCode, respMs: tc.respMs, slaMs: tc.slaMs, slaBreach: tc.slaBreach,
+    reason: tc.reason || undefined,
+    knownIssues: tc.knownIssues && tc.knownIssues.length ? tc.knownIssues : undefined,
+    category: tc.category || undefined,
+    attempts: tc.attempts && tc.attempts.length ? tc.attempts : undefined,
+    checksPassed: tc.checksPassed, checksFailed: tc.checksFailed, checksTotal: tc.checksTotal,
+    flakeKey: tc.flakeKey, flaky: tc.flaky,
+    checks: tc.checks
+  }))
+};
+
 // ===== Write per-suite HTML (OLD path) =====
 fs.mkdirSync(path.dirname(outFile), { recursive: true });
 fs.writeFileSync(outFile, html, "utf8");
 console.log("✓ Wrote per-suite HTML ->", outFile);
+if (REDACTOR.count()) console.log(`✓ Redacted ${REDACTOR.count()} secret value(s) in the embedded payloads`);
+
+// ===== JUnit XML + CTRF next to the HTML =====
+const exportBase = outFile.replace(/\.html?$/i, '');
+fs.writeFileSync(exportBase + '.junit.xml', toJUnitXml([RESULT]), "utf8");
+console.log("✓ Wrote JUnit XML ->", exportBase + '.junit.xml');
+fs.writeFileSync(exportBase + '.ctrf.json', JSON.stringify(toCtrf([RESULT]), null, 2), "utf8");
+console.log("✓ Wrote CTRF JSON ->", exportBase + '.ctrf.json');
+const RESULTS_TABLE = resultsTable([RESULT]);
+fs.writeFileSync(exportBase + '.results.csv', toCsv(RESULTS_TABLE), "utf8");
+console.log("✓ Wrote results CSV ->", exportBase + '.results.csv');
+if (XLSX) {
+  writeXlsx(exportBase + '.results.xlsx', [{ name: SUITE_MODULE, ...RESULTS_TABLE }]);
+  console.log("✓ Wrote results XLSX ->", exportBase + '.results.xlsx');
+}
 
-// ===== Temp copy per Parent/Module =====
+// ===== Temp copy per Parent/Module (and environment, for run-all.js --envs) =====
 (function writeTemp(){
   const parentDir = path.join(TEMP_ROOT, SUITE_PARENT);
   fs.mkdirSync(parentDir, { recursive: true });
-  const tempFile = path.join(parentDir, `${SUITE_MODULE}_latest.html`);
+  const stem = SUITE_MODULE + (SUITE_ENV ? '@' + SUITE_ENV : '');
+  const tempFile = path.join(parentDir, `${stem}_latest.html`);
   fs.writeFileSync(tempFile, html, "utf8");
   console.log("✓ Temp report ->", tempFile);
+  const resultFile = path.join(parentDir, `${stem}_latest.json`);
+  fs.writeFileSync(resultFile, JSON.stringify(RESULT, null, 2), "utf8");
+  console.log("✓ Temp result ->", resultFile);
 })();
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * notify.js — posts a run summary card to chat webhooks (step after combine-email-report.js)
+ * ----------------------------------------------------------------------------------------
+ * Card: grand API and test-case figures, pass % per parent, the top N failing APIs
+ * and a link to the published report, all from EmailReports\<date>\run-summary.json.
+ *   teams : Adaptive Card (Teams "Workflows" / incoming webhook message format)
+ *   slack : Block Kit (Slack incoming webhook)
+ *
+ * notify.json (project root, or --config <file>):
+ *   {
+ *     "policy": "failure",                 // always | failure | change
+ *     "topFailing": 5,
+ *     "title": "Digital API Automation",
+ *     "reportUrl": "https://reports.example.com/{date}/Digital%20Api%20Automation%20Report.html",
+ *     "webhooks": [
+ *       { "type": "teams", "urlEnv": "TEAMS_WEBHOOK_URL" },
+ *       { "type": "slack", "url": "https://hooks.slack.com/services/…", "policy": "always" }
+ *     ]
+ *   }
+ * Policy (per webhook, else the top-level one, default "always"):
+ *   always  every run
+ *   failure only when the run FAILED: a test case or a quality gate failed
+ *   change  only when the status (PASSED / FAILED) differs from the previous run in
+ *           History\run-history.jsonl (a first run always notifies)
+ * Webhook URLs are secrets: prefer "urlEnv" (name of an environment variable) to "url".
+ *
+ * Usage:
+ *   node scripts/notify.js [--config notify.json] [--date YYYY-MM-DD] [--dry-run]
+ *   --dry-run writes the payloads to EmailReports\<date>\notify-<n>-<type>.json instead of posting.
+ * Exit code: 0 when every due webhook accepted the card (or nothing was due), 1 otherwise.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const history = require("./run-history");
+const { runStatus } = require("./quality-gates");
+
+// ===== Root Paths =====
+const ROOT       = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
+const EMAIL_ROOT = path.join(ROOT, "EmailReports");
+
+// ===== Logging =====
+function info(m){ console.log("[INFO] " + m); }
+function warn(m){ console.warn("[WARN] " + m); }
+function err (m){ console.error("[ERR ] " + m); }
+
+// ===== Args =====
+const ARGV = process.argv.slice(2);
+const argValue = (name, dflt) => { const i = ARGV.indexOf(name); return i >= 0 && ARGV[i + 1] != null ? ARGV[i + 1] : dflt; };
+const DRY_RUN = ARGV.includes("--dry-run");
+
+const POLICIES = ["always", "failure", "change"];
+const TYPES = ["teams", "slack"];
+const DEFAULTS = { policy: "always", topFailing: 5, title: "Digital API Automation", reportUrl: "", timeoutSec: 15 };
+
+const pad2 = n => String(n).padStart(2, "0");
+const today = () => { const d = new Date(); return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`; };
+const fmt = n => Number.isFinite(n) ? n.toLocaleString() : (n == null ? '—' : String(n));
+
+// ===== Config =====
+function loadConfig(file){
+  const cfgFile = path.resolve(ROOT, file || "notify.json");
+  if (!fs.existsSync(cfgFile)) throw new Error("Notify config not found: " + cfgFile);
+  const cfg = { ...DEFAULTS, ...JSON.parse(fs.readFileSync(cfgFile, "utf8")) };
+  const problems = [];
+  if (!POLICIES.includes(cfg.policy)) problems.push(`"policy" must be one of ${POLICIES.join(", ")}`);
+  if (!Array.isArray(cfg.webhooks) || !cfg.webhooks.length) problems.push('"webhooks" needs at least one entry');
+  (cfg.webhooks || []).forEach((w, i) => {
+    if (!TYPES.includes(w?.type)) problems.push(`webhooks[${i}]: "type" must be ${TYPES.join(" or ")}`);
+    if (!w?.url && !w?.urlEnv) problems.push(`webhooks[${i}]: "url" or "urlEnv" is required`);
+    if (w?.policy && !POLICIES.includes(w.policy)) problems.push(`webhooks[${i}]: "policy" must be one of ${POLICIES.join(", ")}`);
+  });
+  if (problems.length) throw new Error(`${path.basename(cfgFile)}: ${problems.join("; ")}`);
+  return cfg;
+}
+
+// ===== Run status =====
+// The run before this one (this run may or may not be in the history yet)
+function previousRun(summary){
+  const runs = history.readRuns(ROOT);
+  const i = runs.findIndex(r => r.runId === summary.runId);
+  const before = i >= 0 ? runs.slice(0, i) : runs;
+  return before.length ? before[before.length - 1] : null;
+}
+
+function isDue(policy, status, prevStatus){
+  if (policy === "failure") return status === "FAILED";
+  if (policy === "change") return prevStatus == null || prevStatus !== status;
+  return true;
+}
+
+// ===== Card content (shared by both payloads) =====
+function cardModel(cfg, summary, prevStatus){
+  const g = summary.grand || {};
+  const status = runStatus(summary);
+  return {
+    title: `${cfg.title} — ${summary.date}`,
+    status,
+    statusLine: status + (prevStatus && prevStatus !== status ? ` (was ${prevStatus})` : ""),
+    apiFacts: [
+      ["Unique APIs", fmt(g.apis?.unique)],
+      ["Passed APIs", fmt(g.apis?.passed)],
+      ["Failed APIs", fmt(g.apis?.failed)],
+      ["Pass API %", fmt(g.apiPct) + "%"]
+    ],
+    caseFacts: [
+      ["Total Test Cases", fmt(g.cases?.total)],
+      ["Passed Test Cases", fmt(g.cases?.pass)],
+      ["Failed Test Cases", fmt(g.cases?.fail)],
+      ["Pass Test Case %", fmt(g.casePct) + "%"]
+    ],
+    parents: Object.entries(summary.parents || {}).map(([p, s]) => [p, `${fmt(s.casePct)}% (${fmt(s.cases?.fail)} failed of ${fmt(s.cases?.total)})`]),
+    failing: (summary.failingApis || []).slice(0, Math.max(0, Number(cfg.topFailing) || 0))
+      .map(a => [`${a.parent} / ${a.module} / ${a.api}`, `${fmt(a.fail)} of ${fmt(a.total)} failed`]),
+    moreFailing: Math.max(0, (summary.failingApis || []).length - (Number(cfg.topFailing) || 0)),
+    url: String(cfg.reportUrl || "").replace(/\{date\}/g, encodeURIComponent(summary.date))
+  };
+}
+
+function teamsPayload(m){
+  const facts = pairs => ({ type: "FactSet", facts: pairs.map(([title, value]) => ({ title, value })) });
+  const heading = text => ({ type: "TextBlock", text, weight: "Bolder", spacing: "Medium" });
+  const body = [
+    { type: "TextBlock", text: m.title, size: "Large", weight: "Bolder", wrap: true },
+    { type: "TextBlock", text: m.statusLine, color: m.status === "PASSED" ? "Good" : "Attention", weight: "Bolder", spacing: "None" },
+    { type: "ColumnSet", columns: [
+      { type: "Column", width: "stretch", items: [heading("APIs"), facts(m.apiFacts)] },
+      { type: "Column", width: "stretch", items: [heading("Test Cases"), facts(m.caseFacts)] }
+    ] },
+    heading("Pass % by parent"),
+    facts(m.parents)
+  ];
+  if (m.failing.length) {
+    body.push(heading("Top failing APIs"), facts(m.failing));
+    if (m.moreFailing) body.push({ type: "TextBlock", text: `…and ${m.moreFailing} more`, isSubtle: true, spacing: "None" });
+  }
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      contentUrl: null,
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        msteams: { width: "Full" },
+        body,
+        actions: m.url ? [{ type: "Action.OpenUrl", title: "Open report", url: m.url }] : []
+      }
+    }]
+  };
+}
+
+function slackPayload(m){
+  const mrkdwn = text => ({ type: "mrkdwn", text });
+  const lines = pairs => pairs.map(([k, v]) => `• *${k}*: ${v}`).join("\n");
+  const blocks = [
+    { type: "header", text: { type: "plain_text", text: m.title.slice(0, 150) } },
+    { type: "section", text: mrkdwn(`${m.status === "PASSED" ? ":white_check_mark:" : ":x:"} *${m.statusLine}*`) },
+    { type: "section", fields: [...m.apiFacts, ...m.caseFacts].map(([k, v]) => mrkdwn(`*${k}*\n${v}`)) },
+    { type: "section", text: mrkdwn("*Pass % by parent*\n" + (lines(m.parents) || "—")) }
+  ];
+  if (m.failing.length) {
+    blocks.push({ type: "section", text: mrkdwn("*Top failing APIs*\n" + lines(m.failing) + (m.moreFailing ? `\n…and ${m.moreFailing} more` : "")) });
+  }
+  if (m.url) {
+    blocks.push({ type: "actions", elements: [{ type: "button", text: { type: "plain_text", text: "Open report" }, url: m.url }] });
+  }
+  return { text: `${m.title}: ${m.statusLine}`, blocks };
+}
+
+// ===== Delivery =====
+function postJson(url, payload, timeoutMs){
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const body = Buffer.from(JSON.stringify(payload), "utf8");
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Content-Length": body.length }
+    }, res => {
+      let text = "";
+      res.on("data", c => text += c);
+      res.on("end", () => res.statusCode >= 200 && res.statusCode < 300
+        ? resolve(res.statusCode)
+        : reject(new Error(`HTTP ${res.statusCode} ${text.slice(0, 200)}`)));
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error("timeout")));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+module.exports = { isDue, previousRun };
+
+// ===== Main =====
+if (require.main === module) (async function main(){
+  try {
+    const cfg = loadConfig(argValue("--config", null));
+    const date = argValue("--date", today());
+    const outDir = path.join(EMAIL_ROOT, date);
+    const summaryFile = path.join(outDir, "run-summary.json");
+    if (!fs.existsSync(summaryFile)) throw new Error("run-summary.json not found (run combine-email-report.js first): " + summaryFile);
+    const summary = JSON.parse(fs.readFileSync(summaryFile, "utf8"));
+
+    const prev = previousRun(summary);
+    const prevStatus = prev ? runStatus(prev) : null;
+    const model = cardModel(cfg, summary, prevStatus);
+    info(`Run status: ${model.status}` + (prevStatus ? ` (previous run: ${prevStatus})` : " (no previous run)"));
+
+    let failures = 0;
+    for (const [i, hook] of cfg.webhooks.entries()) {
+      const label = `webhook #${i + 1} (${hook.type})`;
+      const policy = hook.policy || cfg.policy;
+      if (!isDue(policy, model.status, prevStatus)) { info(`${label}: skipped, policy "${policy}"`); continue; }
+
+      const payload = hook.type === "teams" ? teamsPayload(model) : slackPayload(model);
+      if (DRY_RUN) {
+        const file = path.join(outDir, `notify-${i + 1}-${hook.type}.json`);
+        fs.writeFileSync(file, JSON.stringify(payload, null, 2), "utf8");
+        console.log(`✓ Dry run, ${label} payload ->`, file);
+        continue;
+      }
+
+      const url = hook.url || process.env[hook.urlEnv];
+      if (!url) { err(`${label}: environment variable ${hook.urlEnv} is not set`); failures++; continue; }
+      try {
+        await postJson(url, payload, (Number(cfg.timeoutSec) || DEFAULTS.timeoutSec) * 1000);
+        console.log(`✓ Posted ${label}`);
+      } catch (e) {
+        err(`${label}: ${e.message}`);   // the URL itself is not logged, it is a secret
+        failures++;
+      }
+    }
+    if (failures) process.exitCode = 1;
+  } catch (e) {
+    err(e.message || String(e));
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,159 @@
+/**
+ * quality-gates.js
+ * ----------------
+ * Pass / fail gates evaluated by combine-email-report.js after a run is combined.
+ * A failed gate makes combine-email-report.js exit with GATE_EXIT_CODE, which
+ * run-all.js / run-all.ps1 pass on as the run's exit code.
+ *
+ * Optional <ROOT>\gates.json (or combine-email-report.js --gates <file>):
+ *   {
+ *     "minApiPassPct": 90,                         // Pass API % of the whole run
+ *     "minCasePassPct": 95,                        // Pass Test Case % of the whole run
+ *     "maxFailedPerParent": { "default": 5, "EY.COM": 0 },   // or one number for all parents
+ *     "minWithinSlaPct": 90,                       // test cases within their SLA
+ *     "noNewFailures": true                        // no API newly failing vs the baseline run
+ *   }
+ * combine-email-report.js --expect-suites (run-all.js) adds "All suites reported": a suite
+ * that was started but left no result (crashed, timed out) fails it, gates.json or not.
+ * Every gate is optional. A gate that cannot be measured in this run (no result
+ * sidecars for the SLA gate, no earlier run for noNewFailures) is reported as N/A
+ * and does not fail the run.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const GATE_EXIT_CODE = 2;
+
+const esc = s => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+const fmt = n => Number.isFinite(n) ? n.toLocaleString() : (n == null ? '—' : String(n));
+const pct = (num, den) => den > 0 ? 100 * num / den : null;
+const pctText = v => v == null ? '—' : (Math.floor(v * 10) / 10) + '%';   // never rounds up to a threshold
+
+const isPct = v => Number.isFinite(v) && v >= 0 && v <= 100;
+const isCount = v => Number.isInteger(v) && v >= 0;
+
+// Normalized gates, or null when there is no gates file; throws on an invalid file
+function loadGates(root, file) {
+  const cfgFile = file ? path.resolve(root, file) : path.join(root, "gates.json");
+  if (!fs.existsSync(cfgFile)) {
+    if (file) throw new Error("Quality gates file not found: " + cfgFile);
+    return null;
+  }
+  const raw = JSON.parse(fs.readFileSync(cfgFile, "utf8"));
+  const problems = [];
+  for (const k of ["minApiPassPct", "minCasePassPct", "minWithinSlaPct"]) {
+    if (raw[k] != null && !isPct(raw[k])) problems.push(`"${k}" must be a number from 0 to 100`);
+  }
+  let maxFailed = null;
+  if (typeof raw.maxFailedPerParent === "number") maxFailed = { default: raw.maxFailedPerParent };
+  else if (raw.maxFailedPerParent != null) maxFailed = { ...raw.maxFailedPerParent };
+  for (const [p, v] of Object.entries(maxFailed || {})) {
+    if (!isCount(v)) problems.push(`"maxFailedPerParent"${p === "default" ? "" : "." + p} must be a whole number >= 0`);
+  }
+  if (raw.noNewFailures != null && typeof raw.noNewFailures !== "boolean") problems.push('"noNewFailures" must be true or false');
+  if (problems.length) throw new Error(`${path.basename(cfgFile)}: ${problems.join("; ")}`);
+  return {
+    minApiPassPct: raw.minApiPassPct ?? null,
+    minCasePassPct: raw.minCasePassPct ?? null,
+    maxFailedPerParent: maxFailed,
+    minWithinSlaPct: raw.minWithinSlaPct ?? null,
+    noNewFailures: raw.noNewFailures === true
+  };
+}
+
+/**
+ * facts: {
+ *   apis: { unique, passed }, cases: { total, fail },
+ *   parents: { <parent>: { failed } },
+ *   sla: { within, cases } | null,          // null: no result sidecars
+ *   newFailures: [{ parent, module, api }] | null,  // null: no baseline run
+ *   suites: { expected, missing: ["Parent/Module", …] } | null   // null: not known
+ * }
+ * Returns [{ gate, threshold, actual, status: "pass" | "fail" | "n/a", detail }].
+ */
+function evaluateGates(gates, facts) {
+  const out = [];
+  const add = (gate, threshold, actual, ok, detail) =>
+    out.push({ gate, threshold, actual, status: ok == null ? "n/a" : (ok ? "pass" : "fail"), detail: detail || "" });
+
+  if (facts.suites) {
+    const missing = facts.suites.missing;
+    const { expected } = facts.suites;
+    add("All suites reported", `all ${fmt(expected)}`, `${fmt(expected - missing.length)} of ${fmt(expected)}`, missing.length === 0,
+      missing.length ? "no result (crashed or timed out): " + missing.join(", ") : "");
+  }
+
+  if (gates.minApiPassPct != null) {
+    const v = pct(facts.apis.passed, facts.apis.unique);
+    add("Pass API %", `≥ ${gates.minApiPassPct}%`, pctText(v), v == null ? null : v >= gates.minApiPassPct,
+      `${fmt(facts.apis.passed)} of ${fmt(facts.apis.unique)} APIs passed`);
+  }
+  if (gates.minCasePassPct != null) {
+    const v = pct(facts.cases.total - facts.cases.fail, facts.cases.total);
+    add("Pass Test Case %", `≥ ${gates.minCasePassPct}%`, pctText(v), v == null ? null : v >= gates.minCasePassPct,
+      `${fmt(facts.cases.fail)} of ${fmt(facts.cases.total)} test cases failed`);
+  }
+  if (gates.maxFailedPerParent) {
+    for (const parent of Object.keys(facts.parents).sort()) {
+      const limit = gates.maxFailedPerParent[parent] ?? gates.maxFailedPerParent.default;
+      if (limit == null) continue;
+      const failed = facts.parents[parent].failed;
+      add(`Failed Test Cases — ${parent}`, `≤ ${fmt(limit)}`, fmt(failed), failed <= limit);
+    }
+  }
+  if (gates.minWithinSlaPct != null) {
+    const v = facts.sla ? pct(facts.sla.within, facts.sla.cases) : null;
+    add("Within SLA %", `≥ ${gates.minWithinSlaPct}%`, pctText(v), v == null ? null : v >= gates.minWithinSlaPct,
+      v == null ? "no response times in the result sidecars" : `${fmt(facts.sla.within)} of ${fmt(facts.sla.cases)} test cases`);
+  }
+  if (gates.noNewFailures) {
+    const list = facts.newFailures;
+    add("No new failures vs baseline", "0", list ? fmt(list.length) : '—', list ? list.length === 0 : null,
+      !list ? "no earlier run to compare with" : list.map(e => `${e.parent} / ${e.module} / ${e.api}`).join(", "));
+  }
+  return out;
+}
+
+const gatesFailed = results => results.some(r => r.status === "fail");
+
+// PASSED / FAILED of a run-summary.json or run-history record: a failed test case or a
+// failed quality gate (exit code GATE_EXIT_CODE) fails the run
+const runStatus = summary => summary?.gates?.passed === false || ((summary?.grand?.cases?.fail) || 0) > 0 ? "FAILED" : "PASSED";
+
+const STATUS_STYLE = {
+  pass: ["PASSED", "#ECFDF5", "#065F46"],
+  fail: ["FAILED", "#FFF1F2", "#9F1239"],
+  "n/a": ["N/A", "#F1F5F9", "#475569"]
+};
+
+/** Gate summary: overall verdict and one row per gate (inline styles, also used in the email). */
+function gatesHtml(results) {
+  if (!results.length) return '<div style="color:#64748b">No quality gates configured (gates.json).</div>';
+  const failed = gatesFailed(results);
+  const cell = 'style="border:1px solid #e5e7eb;padding:6px 8px;text-align:left"';
+  return [
+    '<div style="font-weight:700;margin:0 0 8px 0;color:', failed ? '#9F1239' : '#065F46', '">',
+    failed ? 'Quality gates FAILED — the run exits with code ' + GATE_EXIT_CODE : 'All quality gates passed',
+    '</div>',
+    '<table style="border-collapse:collapse;width:100%"><thead><tr>',
+    '<th ', cell, '>Gate</th><th ', cell, '>Threshold</th><th ', cell, '>Actual</th><th ', cell, '>Result</th><th ', cell, '>Details</th>',
+    '</tr></thead><tbody>',
+    results.map(r => {
+      const [label, bg, color] = STATUS_STYLE[r.status];
+      return '<tr style="background:' + bg + '"><td ' + cell + '>' + esc(r.gate) + '</td><td ' + cell + '>' + esc(r.threshold) +
+        '</td><td ' + cell + '>' + esc(r.actual) + '</td><td ' + cell + '><b style="color:' + color + '">' + label +
+        '</b></td><td ' + cell + '>' + esc(r.detail) + '</td></tr>';
+    }).join(''),
+    '</tbody></table>'
+  ].join('');
+}
+
+/** Console lines for the gate summary. */
+function gatesText(results) {
+  return results.map(r => `${STATUS_STYLE[r.status][0].padEnd(6)} ${r.gate}: ${r.actual} (${r.threshold})${r.status === "fail" && r.detail ? " — " + r.detail : ""}`);
+}
+
+module.exports = { GATE_EXIT_CODE, loadGates, evaluateGates, gatesFailed, runStatus, gatesHtml, gatesText };
@@ -0,0 +1,124 @@
+/**
+ * redact.js
+ * ---------
+ * Masks secrets in the request/response evidence before make-suite-report.js embeds
+ * it in the per-suite HTML (payload-req-* / payload-res-* tags).
+ *
+ * What is masked (replaced by "[REDACTED]"):
+ *   - headers   : values of the listed header names (case-insensitive)
+ *   - jsonPaths : JSON body fields, e.g. "password" (any depth), "$.user.token",
+ *                 "items[*].cardNumber"
+ *   - patterns  : regular expressions, "text" or "/text/flags", on every string
+ *   - envKeys   : the values of these environment variables, wherever they appear;
+ *                 environment variables of type "secret" are always included
+ *
+ * Optional <ROOT>\redaction.json adds to the defaults below:
+ *   { "headers": [...], "jsonPaths": [...], "patterns": [...], "envKeys": [...],
+ *     "marker": "[REDACTED]", "minValueLength": 4 }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULTS = {
+  marker: "[REDACTED]",
+  headers: ["Authorization", "Proxy-Authorization", "Cookie", "Set-Cookie", "x-api-key", "api-key"],
+  jsonPaths: ["password", "client_secret", "access_token", "refresh_token"],
+  patterns: ["/Bearer\\s+[A-Za-z0-9._~+\\/-]+=*/gi"],
+  envKeys: ["token"],
+  minValueLength: 4
+};
+
+const LISTS = ["headers", "jsonPaths", "patterns", "envKeys"];
+
+// Defaults + redaction.json (lists are added to, scalars replaced)
+function loadConfig(root, file) {
+  const cfgFile = file || path.join(root, "redaction.json");
+  const cfg = { ...DEFAULTS };
+  if (!fs.existsSync(cfgFile)) return cfg;
+  const user = JSON.parse(fs.readFileSync(cfgFile, "utf8"));
+  for (const k of LISTS) if (Array.isArray(user[k])) cfg[k] = [...new Set([...DEFAULTS[k], ...user[k]])];
+  if (typeof user.marker === "string") cfg.marker = user.marker;
+  if (Number.isFinite(user.minValueLength)) cfg.minValueLength = user.minValueLength;
+  return cfg;
+}
+
+function toRegExp(p) {
+  const m = String(p).match(/^\/(.+)\/([a-z]*)$/s);
+  const re = m ? new RegExp(m[1], m[2]) : new RegExp(p);
+  return re.global ? re : new RegExp(re.source, re.flags + "g");
+}
+
+// "$.a.b[0].c" / "a[*].b" -> ["a","b","0","c"] / ["a","*","b"]
+const pathSegments = p => String(p).replace(/^\$\.?/, "").replace(/\[(\*|\d+)\]/g, ".$1").split(".").filter(Boolean);
+
+/**
+ * envValues: [{ key, value, type }] from the Newman summary and/or the environment file.
+ * Returns { text, headers, body, count() }.
+ */
+function createRedactor(config, envValues = []) {
+  const cfg = { ...DEFAULTS, ...config };
+  const marker = cfg.marker;
+  const headerSet = new Set(cfg.headers.map(h => String(h).toLowerCase()));
+  const envKeySet = new Set(cfg.envKeys.map(k => String(k).toLowerCase()));
+  const patterns = cfg.patterns.map(toRegExp);
+  const jp = cfg.jsonPaths.map(p => ({ rooted: /^\$/.test(p), segs: pathSegments(p) }));
+  const anyDepth = jp.filter(p => !p.rooted && p.segs.length === 1).map(p => p.segs[0]);   // bare field name
+  const fullPaths = jp.filter(p => p.rooted || p.segs.length > 1).map(p => p.segs);
+
+  const secrets = [...new Set(envValues
+    .filter(v => v && !v.disabled && (v.type === "secret" || envKeySet.has(String(v.key).toLowerCase())))
+    .map(v => String(v.value ?? ""))
+    .filter(v => v.length >= cfg.minValueLength))]
+    .sort((a, b) => b.length - a.length);
+
+  let hits = 0;
+
+  function text(s) {
+    if (typeof s !== "string" || !s) return s;
+    let out = s;
+    for (const secret of secrets) {
+      if (!out.includes(secret)) continue;
+      hits++;
+      out = out.split(secret).join(marker);
+    }
+    for (const re of patterns) {
+      re.lastIndex = 0;
+      out = out.replace(re, () => { hits++; return marker; });
+    }
+    return out;
+  }
+
+  function headers(obj) {
+    const out = {};
+    for (const [k, v] of Object.entries(obj || {})) {
+      if (headerSet.has(k.toLowerCase()) && v !== "") { hits++; out[k] = marker; }
+      else out[k] = text(v);
+    }
+    return out;
+  }
+
+  const pathMatches = segs => fullPaths.some(p => p.length === segs.length && p.every((s, i) => s === "*" || s === segs[i]));
+
+  function walk(v, segs) {
+    if (segs.length && (anyDepth.includes(segs[segs.length - 1]) || pathMatches(segs))) {
+      if (v == null || v === "") return v;
+      hits++;
+      return marker;
+    }
+    if (Array.isArray(v)) return v.map((x, i) => walk(x, [...segs, String(i)]));
+    if (v && typeof v === "object") {
+      const out = {};
+      for (const [k, x] of Object.entries(v)) out[k] = walk(x, [...segs, k]);
+      return out;
+    }
+    return typeof v === "string" ? text(v) : v;
+  }
+
+  // JSON bodies are walked field by field; text bodies only get value/pattern masking
+  const body = v => walk(v, []);
+
+  return { text, headers, body, count: () => hits };
+}
+
+module.exports = { DEFAULTS, loadConfig, createRedactor };
@@ -0,0 +1,184 @@
+/**
+ * report-export.js
+ * ----------------
+ * JUnit XML and CTRF (https://ctrf.io) exports built from suite result sidecars
+ * (<Module>_latest.json, schema "suite-result", written by make-suite-report.js).
+ *
+ * JUnit layout:
+ *   <testsuites>  one suite result (parent/module) or the whole run
+ *   <testsuite>   one per folder
+ *   <testcase>    "<tcId>-<API>", <failure> lists the failed checks,
+ *                 Skipped / Not Run -> <skipped/>, Known Issue -> <system-out>,
+ *                 Passed on retry -> passed with the attempts in <system-out>
+ *                 (or <failure> when known issues count as failures)
+ *
+ * Results table (CSV / XLSX via xlsx.js): one row per test case with parent, module,
+ * folder, API, TC id, iteration, result, status code, response ms, checks passed /
+ * total and the first failure message (the reason for Skipped / Not Run cases).
+ *
+ * Used by make-suite-report.js (per suite) and combine-email-report.js (merged run).
+ */
+
+const pretty = s => String(s||'').replace(/^SC_\d+_/,'').replace(/_/g,' ').trim() || 'Untitled';
+
+// XML 1.0 text/attribute escaping (control characters are not allowed at all)
+const xml = s => String(s ?? '')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+const secs = ms => (Number.isFinite(ms) ? ms / 1000 : 0).toFixed(3);
+
+const isSkipped = tc => tc.result === 'Skipped' || tc.result === 'Not Run';
+const failedChecks = tc => (tc.checks || []).filter(c => !c.ok);
+const caseName = tc => `${tc.tcId}-${pretty(tc.api)}`;
+const knownText = tc => (tc.knownIssues || []).map(k => `Known issue: ${k.reason}${k.check ? ' — ' + k.check : ''}${k.ticket ? ' (' + k.ticket + ')' : ''}`).join('\n') || 'Known issue';
+const retryText = tc => `Passed on retry: failed on attempt 1, ` +
+  (tc.attempts || []).map(a => `attempt ${a.attempt} ${a.result === 'Pass' ? 'passed' : 'failed'}`).join(', ');
+// Fail, plus Known Issue when the suite counts known issues as failures
+const failedIn = result => tc => tc.result === 'Fail' || (tc.result === 'Known Issue' && !!result.totals?.knownCountedAsFailure);
+
+function junitCase(tc, classname, isFailed) {
+  const open = `<testcase name="${xml(caseName(tc))}" classname="${xml(classname)}" time="${secs(tc.respMs)}"`;
+  if (isSkipped(tc)) {
+    const reason = tc.reason || (tc.checks || []).map(c => c.name).find(n => /\bskip\b/i.test(n)) || tc.result;
+    return `${open}><skipped message="${xml(reason)}"/></testcase>`;
+  }
+  if (tc.result === 'Known Issue') {
+    return isFailed(tc)
+      ? `${open}><failure message="${xml(knownText(tc).split('\n')[0])}" type="KnownIssue">${xml(knownText(tc))}</failure></testcase>`
+      : `${open}><system-out>${xml(knownText(tc))}</system-out></testcase>`;
+  }
+  if (tc.result === 'Passed on retry') return `${open}><system-out>${xml(retryText(tc))}</system-out></testcase>`;
+  if (tc.result === 'Fail') {
+    const failed = failedChecks(tc);
+    const text = failed.map(c => `${c.name}: ${c.message}`).join('\n');
+    return `${open}><failure message="${xml(failed[0]?.message || 'Failed')}" type="AssertionError">${xml(text)}</failure></testcase>`;
+  }
+  return `${open}/>`;
+}
+
+// <testsuite> per folder of one suite result
+function junitSuites(result, namePrefix) {
+  const parent = result.meta?.parent || 'Parent';
+  const module = result.meta?.module || 'Module';
+  const cases = result.testCases || [];
+  return (result.folders || []).map(f => {
+    const list = cases.filter(tc => tc.group === f.group);
+    const classname = `${parent}.${module}.${pretty(f.group)}`;
+    const isFailed = failedIn(result);
+    const failures = list.filter(isFailed).length;
+    const skipped = list.filter(isSkipped).length;
+    const time = list.reduce((t, tc) => t + (Number.isFinite(tc.respMs) ? tc.respMs : 0), 0);
+    return [
+      `<testsuite name="${xml(namePrefix + f.pretty)}" tests="${list.length}" failures="${failures}" errors="0" skipped="${skipped}"`,
+      ` time="${secs(time)}" timestamp="${xml(result.meta?.startedAt || '')}">`,
+      list.map(tc => junitCase(tc, classname, isFailed)).join(''),
+      '</testsuite>'
+    ].join('');
+  });
+}
+
+/**
+ * results: suite result sidecars. One result -> <testsuites name="parent/module">;
+ * a whole run (opts.name, or several results) -> <testsuites name=opts.name> with
+ * "parent/module/" in front of each folder.
+ */
+function toJUnitXml(results, opts = {}) {
+  const single = !opts.name && results.length === 1;
+  const suites = results.flatMap(r => junitSuites(r, single ? '' : `${r.meta?.parent}/${r.meta?.module}/`));
+  const all = results.flatMap(r => r.testCases || []);
+  const failures = results.reduce((n, r) => n + (r.testCases || []).filter(failedIn(r)).length, 0);
+  const name = single ? `${results[0].meta?.parent}/${results[0].meta?.module}` : (opts.name || 'Digital API Automation');
+  const time = all.reduce((t, tc) => t + (Number.isFinite(tc.respMs) ? tc.respMs : 0), 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    `<testsuites name="${xml(name)}" tests="${all.length}" failures="${failures}"`,
+    ` errors="0" skipped="${all.filter(isSkipped).length}" time="${secs(time)}">\n`,
+    suites.join('\n'),
+    '\n</testsuites>\n'
+  ].join('');
+}
+
+const CTRF_STATUS = { Pass: 'passed', 'Passed on retry': 'passed', Fail: 'failed', Skipped: 'skipped', 'Not Run': 'pending' };
+const epoch = v => { const t = new Date(v).getTime(); return Number.isFinite(t) ? t : 0; };
+
+/** CTRF report object for one or more suite results. */
+function toCtrf(results, opts = {}) {
+  const tests = results.flatMap(r => (r.testCases || []).map(tc => {
+    const folder = (r.folders || []).find(f => f.group === tc.group);
+    const failed = failedChecks(tc);
+    const status = tc.result === 'Known Issue' ? (failedIn(r)(tc) ? 'failed' : 'passed') : (CTRF_STATUS[tc.result] || 'other');
+    const t = {
+      name: caseName(tc),
+      status,
+      duration: Number.isFinite(tc.respMs) ? tc.respMs : 0,
+      suite: `${r.meta?.parent}/${r.meta?.module}/${folder ? folder.pretty : pretty(tc.group)}`
+    };
+    if (tc.result === 'Fail') {
+      t.message = failed[0]?.message || 'Failed';
+      t.trace = failed.map(c => `${c.name}: ${c.message}`).join('\n');
+    }
+    if (tc.reason) t.message = tc.reason;
+    if (tc.result === 'Known Issue') t.message = knownText(tc);
+    if (tc.attempts && tc.attempts.length) t.retries = tc.attempts.length;
+    if (tc.result === 'Passed on retry') { t.message = retryText(tc); t.flaky = true; }
+    if (tc.flaky) t.flaky = true;
+    return t;
+  }));
+  const count = s => tests.filter(t => t.status === s).length;
+  const starts = results.map(r => epoch(r.timings?.started || r.meta?.startedAt)).filter(Boolean);
+  const stops = results.map(r => epoch(r.timings?.completed || r.meta?.generatedAt)).filter(Boolean);
+  return {
+    results: {
+      tool: { name: 'newman' },
+      summary: {
+        tests: tests.length,
+        passed: count('passed'),
+        failed: count('failed'),
+        pending: count('pending'),
+        skipped: count('skipped'),
+        other: count('other'),
+        start: starts.length ? Math.min(...starts) : 0,
+        stop: stops.length ? Math.max(...stops) : 0
+      },
+      tests,
+      environment: { reportName: opts.name || (results.length === 1 ? results[0].meta?.title : 'Digital API Automation') }
+    }
+  };
+}
+
+// ===== Results table =====
+const RESULT_COLUMNS = ['Parent', 'Module', 'Folder', 'API', 'TC ID', 'Iteration', 'Result', 'Status Code',
+  'Response (ms)', 'Checks Passed', 'Checks Total', 'First Failure'];
+
+const numOrText = v => /^\d+$/.test(String(v ?? '')) ? Number(v) : (v ?? '');
+
+/** One results-table row (array in RESULT_COLUMNS order) for a test case of a suite. */
+function caseRow(meta, tc) {
+  const first = failedChecks(tc)[0];
+  return [
+    meta?.parent || '', meta?.module || '', pretty(tc.group), pretty(tc.api), tc.tcId, tc.iteration, tc.result,
+    numOrText(tc.statusCode), Number.isFinite(tc.respMs) ? tc.respMs : '',
+    tc.checksPassed ?? '', tc.checksTotal ?? '',
+    first ? `${first.name}: ${first.message}` : (isSkipped(tc) ? tc.reason || '' : '')
+  ];
+}
+
+/** { headers, rows } of every test case in the suite results. */
+function resultsTable(results) {
+  return { headers: RESULT_COLUMNS, rows: results.flatMap(r => (r.testCases || []).map(tc => caseRow(r.meta, tc))) };
+}
+
+// Quoted only when needed; formula-like text gets a leading ' so Excel shows it as text
+const csvCell = v => {
+  let s = String(v ?? '');
+  if (typeof v === 'string' && /^[=+\-@]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+};
+
+/** CSV text (UTF-8 BOM, CRLF) of a results table, for Excel. */
+function toCsv(table) {
+  return '\uFEFF' + [table.headers, ...table.rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { toJUnitXml, toCtrf, RESULT_COLUMNS, caseRow, resultsTable, toCsv };
@@ -0,0 +1,163 @@
+/**
+ * rerun-failed.js
+ * ---------------
+ * "Rerun failed" support (run-all.js rerun-failed -> run-suite.js -> make-suite-report.js).
+ *
+ *   - latestSummary  : a suite's newest summary_<base>_<stamp>.json under <Suite>\Reports\
+ *   - failedCases    : the failed requests per data iteration of a Newman summary
+ *   - filterCollection / the filtered CSV rows: only failed requests (folders, scripts
+ *     and variables kept) and only failed data rows are run again
+ *   - retry summaries are saved next to the original summary as
+ *     retry_<base>_<stamp>_r<n>.json with a "retryOf" block
+ *       { summary, attempt: n, iterations: [original iteration of every retry iteration] }
+ *   - retryOutcomes  : what make-suite-report.js merges into the suite report; a failed
+ *     case that passes in a retry becomes "Passed on retry", first-attempt checks stay.
+ *
+ * Newman gives items new ids on every run, so requests are matched by their folder /
+ * request name path.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { caseResult } = require("./flaky");
+
+const escapeRegExp = s => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// item id -> name path key, for the collection tree in a Newman summary
+function itemPaths(collection) {
+  const out = new Map();
+  (function walk(items, names) {
+    for (const it of items || []) {
+      const p = [...names, it.name || ""];
+      if (Array.isArray(it.item)) walk(it.item, p);
+      else out.set(it.id, JSON.stringify(p));
+    }
+  })(collection?.item, []);
+  return out;
+}
+
+// Fail, or no response at all
+const retryResult = ex => ex?.requestError ? 'Fail' : caseResult(ex);
+
+/** Newest summary_<base>_<stamp>.json of the suite (any date folder), or null. */
+function latestSummary(suiteDir, base) {
+  const reportsRoot = path.join(suiteDir, "Reports");
+  if (!fs.existsSync(reportsRoot)) return null;
+  const re = new RegExp(`^summary_${escapeRegExp(base)}_(\\d{8}_\\d{6})(?:_\\d+)?\\.json$`, 'i');
+  let best = null;
+  for (const day of fs.readdirSync(reportsRoot)) {
+    const dir = path.join(reportsRoot, day);
+    if (!fs.statSync(dir).isDirectory()) continue;
+    for (const name of fs.readdirSync(dir)) {
+      const hit = name.match(re);
+      if (hit && (!best || hit[1] > best.stamp)) best = { file: path.join(dir, name), stamp: hit[1] };
+    }
+  }
+  return best && best.file;
+}
+
+/** Map original iteration (0-based) -> Set of request path keys that failed in it. */
+function failedCases(data) {
+  const paths = itemPaths(data?.collection);
+  const out = new Map();
+  for (const ex of data?.run?.executions || []) {
+    if (retryResult(ex) !== 'Fail') continue;
+    const key = paths.get(ex?.item?.id);
+    if (!key) continue;
+    const i = ex?.cursor?.iteration ?? 0;
+    if (!out.has(i)) out.set(i, new Set());
+    out.get(i).add(key);
+  }
+  return out;
+}
+
+/** Copy of a collection file's JSON with only the requests in `keys`; empty folders are dropped. */
+function filterCollection(collectionJson, keys) {
+  const keep = (items, names) => (items || []).flatMap(it => {
+    const p = [...names, it.name || ""];
+    if (!Array.isArray(it.item)) return keys.has(JSON.stringify(p)) ? [it] : [];
+    const children = keep(it.item, p);
+    return children.length ? [{ ...it, item: children }] : [];
+  });
+  return { ...collectionJson, item: keep(collectionJson.item, []) };
+}
+
+/**
+ * failing: result of failedCases / the previous stillFailing; retry: retry summary with retryOf.
+ * Returns the cases that did not pass in this retry (missing executions stay failing).
+ */
+function stillFailing(failing, retry) {
+  const paths = itemPaths(retry?.collection);
+  const iterations = retry?.retryOf?.iterations || [];
+  const passed = new Set();
+  for (const ex of retry?.run?.executions || []) {
+    if (retryResult(ex) !== 'Pass') continue;
+    passed.add(`${paths.get(ex?.item?.id)}|${iterations[ex?.cursor?.iteration ?? 0]}`);
+  }
+  const out = new Map();
+  for (const [i, keys] of failing) {
+    const left = [...keys].filter(k => !passed.has(`${k}|${i}`));
+    if (left.length) out.set(i, new Set(left));
+  }
+  return out;
+}
+
+// <dir>\summary_<base>_<stamp>.json -> <dir>\retry_<base>_<stamp>_r<n>.json
+function retryFile(summaryFile, n) {
+  const stem = path.basename(summaryFile, ".json").replace(/^summary_/i, "retry_");
+  return path.join(path.dirname(summaryFile), `${stem}_r${n}.json`);
+}
+
+/** Retry summaries of a summary file, in attempt order (unreadable ones are skipped). */
+function retrySummaries(summaryFile) {
+  const dir = path.dirname(summaryFile);
+  const stem = path.basename(summaryFile, ".json").replace(/^summary_/i, "retry_");
+  const re = new RegExp(`^${escapeRegExp(stem)}_r(\\d+)\\.json$`, 'i');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => ({ name, hit: name.match(re) }))
+    .filter(f => f.hit)
+    .sort((a, b) => Number(a.hit[1]) - Number(b.hit[1]))
+    .flatMap(f => {
+      try {
+        const r = JSON.parse(fs.readFileSync(path.join(dir, f.name), "utf8"));
+        return r?.retryOf && Array.isArray(r.retryOf.iterations) ? [r] : [];
+      } catch { return []; }
+    });
+}
+
+/**
+ * Map "<original item id>|<original iteration 0-based>" -> [{ attempt, result, statusCode,
+ * respMs, failed:[check names] }]; attempt 1 is the original run, so retries start at 2.
+ * Only cases still failing before a retry count (a retry runs failed requests x failed
+ * rows, so it also repeats some cases that had passed).
+ */
+function retryOutcomes(data, retries) {
+  const idByPath = new Map([...itemPaths(data?.collection)].map(([id, p]) => [p, id]));
+  const out = new Map();
+  let failing = failedCases(data);
+  for (const r of retries) {
+    const paths = itemPaths(r.collection);
+    for (const ex of r.run?.executions || []) {
+      const p = paths.get(ex?.item?.id);
+      const id = idByPath.get(p);
+      const orig = r.retryOf.iterations[ex?.cursor?.iteration ?? 0];
+      if (!id || orig == null || !failing.get(orig)?.has(p)) continue;
+      const key = `${id}|${orig}`;
+      if (!out.has(key)) out.set(key, []);
+      out.get(key).push({
+        attempt: (Number(r.retryOf.attempt) || out.get(key).length + 1) + 1,
+        result: retryResult(ex),
+        statusCode: ex?.response?.code ?? '',
+        respMs: Number.isFinite(ex?.response?.responseTime) ? ex.response.responseTime : null,
+        failed: ex?.requestError
+          ? [String(ex.requestError.message || ex.requestError.code || 'Request error')]
+          : (ex?.assertions || []).filter(a => a.error).map(a => a.assertion || a.error?.test || 'Assertion')
+      });
+    }
+    failing = stillFailing(failing, r);
+  }
+  return out;
+}
+
+module.exports = { latestSummary, failedCases, filterCollection, stillFailing, retryFile, retrySummaries, retryOutcomes };
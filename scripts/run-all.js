@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+/**
+ * run-all.js — cross-platform suite runner (Node replacement for run-all.ps1 + my-script.txt)
+ * -------------------------------------------------------------------------------------------
+ * Same flow as the PowerShell runner, without PowerShell:
+ *   1) For every suite in the manifest (suite-manifest.js), once its artifacts and data
+ *      file are checked: run-suite.js in a child process (Newman library run, per-suite HTML).
+ *        JSON + HTML -> <Suite>\Reports\<YYYY-MM-DD>\
+ *        Newman log  -> Reports\<YYYY-MM-DD>\newman_<base>_<stamp>.log
+ *   2) combine-email-report.js (+ send-email.js, notify.js, env-compare.js when asked for)
+ *   3) cleanup-temp.js
+ *
+ * Exit code: max of the step exit codes, like run-all.ps1 (2 when a quality gate fails).
+ * Per-suite failures are logged and do not stop the remaining suites.
+ *
+ * Usage:
+ *   node scripts/run-all.js [lint | rerun-failed] [options]    (options: see Args below)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+const manifest = require("./suite-manifest");
+const dataLint = require("./data-lint");
+const collectionLint = require("./collection-lint");
+const envOverlay = require("./env-overlay");
+const { resolveNewmanDir } = require("./run-suite");
+const { GATE_EXIT_CODE } = require("./quality-gates");
+
+// ===== Root Paths =====
+const ROOT        = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
+const ROOT_LOGS   = path.join(ROOT, "Reports");
+const TEMP_ROOT   = path.join(ROOT, "Temp");
+const RUN_SUITE_JS = path.join(__dirname, "run-suite.js");
+const SUITE_JS    = path.join(__dirname, "make-suite-report.js");
+const COMBINE_JS  = path.join(__dirname, "combine-email-report.js");
+const CLEANUP_JS  = path.join(__dirname, "cleanup-temp.js");
+const EMAIL_JS    = path.join(__dirname, "send-email.js");
+const NOTIFY_JS   = path.join(__dirname, "notify.js");
+const COMPARE_JS  = path.join(__dirname, "env-compare.js");
+// run_timing_<YYYYMMDD_HHMMSS>.txt of the run started at d
+const timingFile = d => path.join(ROOT, `run_timing_${fileStamp(d)}.txt`);
+
+// ===== Args =====
+//   --manifest <file>   suite manifest, JSON or YAML (default: suites.json, else suites.yaml / .yml in ROOT)
+//   --discover          also run collections under EY.COM with no manifest entry
+//   --tag <tag>         only suites carrying this tag (repeatable)
+//   --suite <name>      only this suite, by name or path (repeatable)
+//   --env <name>        environment overlay environments\<name>.json (+ ${VAR} from process env / .env)
+//   --envs <a,b,...>    run every suite once per overlay and compare the environments (env-compare.js)
+//   --parallel <n>      suites running at once (default: manifest "concurrency", else 1)
+//   --timeout <sec>     kill a suite's run after this long (default: suite "timeoutSec", else none)
+//   --output <mode>     stream (raw), prefix ([suite] per line) or buffer (whole suite at the end)
+//   --no-data-lint      do not check the data files against the collections before the run
+//   --baseline <run>    compare with this history run (runId or date) instead of the previous one
+//   --exclude-flaky     leave failures of known-flaky cases out of the combined pass/fail counts
+//   --gates <file>      quality gates file (default: gates.json in ROOT, when present)
+//   --no-gates          do not evaluate quality gates
+//   --offline           suite reports with inline SVG charts and no CDN script
+//   --xlsx              results tables as .xlsx next to the .results.csv files
+//   --send-email        mail the combined report (send-email.js, mail.json)
+//   --email-dry-run     write the mail as EmailReports\<date>\EmailReport.eml instead
+//   --notify            post the run summary card to the webhooks in notify.json (notify.js)
+//   --notify-dry-run    write the card payloads to EmailReports\<date>\notify-*.json instead
+//   rerun-failed        rerun the failed cases of the latest run instead of a full run
+//   --retries <n>       rerun-failed attempts per suite (default: suite "retries", else 1)
+//   lint                check the collections and data files only, nothing runs
+//   --json <file>       lint: findings file (default: Reports\<date>\lint_<stamp>.json)
+function parseArgs(argv){
+  const opts = { command: "run", retries: null, json: null, manifest: null, discover: null, tags: [], names: [], envNames: [], compare: false, parallel: null, timeoutSec: null, output: null, dataLint: true, baseline: null, excludeFlaky: false, gates: null, noGates: false, offline: false, xlsx: false, email: null, notify: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if ((a === "rerun-failed" || a === "lint") && i === 0) opts.command = a;
+    else if (a === "--json") opts.json = argv[++i];
+    else if (a === "--retries") opts.retries = Number(argv[++i]);
+    else if (a === "--manifest") opts.manifest = argv[++i];
+    else if (a === "--discover") opts.discover = true;
+    else if (a === "--no-discover") opts.discover = false;
+    else if (a === "--tag") opts.tags.push(argv[++i]);
+    else if (a === "--suite") opts.names.push(argv[++i]);
+    else if (a === "--env") opts.envNames = [argv[++i]];
+    else if (a === "--envs") { opts.envNames = String(argv[++i] || "").split(",").map(s => s.trim()).filter(Boolean); opts.compare = true; }
+    else if (a === "--parallel" || a === "--workers") opts.parallel = parseInt(argv[++i], 10);
+    else if (a === "--timeout") opts.timeoutSec = Number(argv[++i]);
+    else if (a === "--output") opts.output = argv[++i];
+    else if (a === "--no-data-lint") opts.dataLint = false;
+    else if (a === "--baseline") opts.baseline = argv[++i];
+    else if (a === "--exclude-flaky") opts.excludeFlaky = true;
+    else if (a === "--gates") opts.gates = argv[++i];
+    else if (a === "--no-gates") opts.noGates = true;
+    else if (a === "--offline") opts.offline = true;
+    else if (a === "--xlsx") opts.xlsx = true;
+    else if (a === "--send-email") opts.email = "send";
+    else if (a === "--email-dry-run") opts.email = "dry-run";
+    else if (a === "--notify") opts.notify = "send";
+    else if (a === "--notify-dry-run") opts.notify = "dry-run";
+    else throw new Error("Unknown argument: " + a);
+  }
+  if (opts.parallel != null && !(opts.parallel >= 1)) throw new Error("--parallel must be a number >= 1");
+  if (opts.timeoutSec != null && !(opts.timeoutSec >= 0)) throw new Error("--timeout must be a number of seconds");
+  if (opts.retries != null && !(Number.isInteger(opts.retries) && opts.retries >= 1)) throw new Error("--retries must be a whole number >= 1");
+  if (opts.retries != null && opts.command !== "rerun-failed") throw new Error("--retries only applies to rerun-failed");
+  if (opts.json != null && opts.command !== "lint") throw new Error("--json only applies to lint");
+  if (argv.includes("--env") && argv.includes("--envs")) throw new Error("use either --env or --envs");
+  if (opts.compare && (opts.envNames.length < 2 || new Set(opts.envNames).size !== opts.envNames.length)) throw new Error("--envs needs two or more different environment names");
+  if (opts.output && !["stream", "prefix", "buffer"].includes(opts.output)) throw new Error("--output must be stream, prefix or buffer");
+  return opts;
+}
+let ARGS;
+try { ARGS = parseArgs(process.argv.slice(2)); }
+catch (e) { err(e.message); process.exit(1); }
+
+// ===== Logging =====
+function info(m){ console.log("[INFO] " + m); }
+function warn(m){ console.warn("[WARN] " + m); }
+function err (m){ console.error("[ERR ] " + m); }
+
+// ===== Helpers =====
+const pad2 = n => String(n).padStart(2, "0");
+const dateStamp = d => `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
+const timeStamp = d => `${dateStamp(d)} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+const fileStamp = d => dateStamp(d).replace(/-/g, "") + "_" + [d.getHours(), d.getMinutes(), d.getSeconds()].map(pad2).join("");
+
+function elapsedStr(ms){
+  const s = Math.floor(ms / 1000);
+  return `${pad2(Math.floor(s / 3600))}:${pad2(Math.floor(s / 60) % 60)}:${pad2(s % 60)}`;
+}
+
+function runNode(script, args){
+  const r = spawnSync(process.execPath, [script, ...args], { stdio: "inherit", cwd: ROOT, env: { ...process.env, PROJECT_ROOT: ROOT } });
+  if (r.error) { err(`${path.basename(script)}: ${r.error.message}`); return 1; }
+  return r.status == null ? 1 : r.status;
+}
+
+// ===== Manifest =====
+// Load + validate every selected suite before anything runs; null when invalid
+function loadJobs(){
+  const m = manifest.loadManifest(ROOT, ARGS.manifest, { discover: ARGS.discover });
+  info("Manifest: " + (fs.existsSync(m.file) ? m.file : "(none, auto-discovery)"));
+
+  const selected = manifest.selectSuites(m.suites, { tags: ARGS.tags, names: ARGS.names });
+  const { resolved, problems, warnings } = manifest.validateSuites(ROOT, selected);
+  const allProblems = [...m.problems, ...problems];
+
+  // Data file vs pm.iterationData.get / {{var}} usage; errors stop the run like missing files
+  if (ARGS.dataLint) {
+    for (const r of resolved) {
+      try {
+        for (const f of dataLint.lintSuite(r)) {
+          if (f.level === "error") allProblems.push(`${r.suite.name}: [${f.rule}] ${f.message}`);
+          else if (f.level === "warn") warnings.push(`${r.suite.name}: [${f.rule}] ${f.message}`);
+        }
+      } catch (e) { allProblems.push(`${r.suite.name}: data lint failed: ${e.message}`); }
+    }
+  }
+
+  // Overlay + placeholders + requiredEnv resolve now, so a missing secret stops the run up front
+  for (const r of resolved) {
+    for (const name of ARGS.envNames.length ? ARGS.envNames : [null]) {
+      try { envOverlay.resolveEnvironment(ROOT, r.dir, r.environment, { name, required: r.suite.requiredEnv }); }
+      catch (e) { allProblems.push(`${r.suite.name}: ${e.message}`); }
+    }
+  }
+
+  for (const w of warnings) warn(w);
+  if (allProblems.length) {
+    err(`Suite validation failed (${allProblems.length} problem(s)):`);
+    for (const p of allProblems) err("  - " + p);
+    return null;
+  }
+  if (!resolved.length) warn("No enabled suites selected.");
+  for (const r of resolved) info(`Suite: ${r.suite.name}${r.suite.discovered ? " (discovered)" : ""} [${r.suite.tags.join(", ")}]`);
+  if (ARGS.envNames.length) info((ARGS.compare ? "Environment overlays: " : "Environment overlay: ") + ARGS.envNames.join(", "));
+  return { jobs: resolved, concurrency: m.concurrency };
+}
+
+// ===== Lint =====
+// Collection + data checks of every selected suite; returns the exit code (1 on any error)
+function lintAll(started){
+  const m = manifest.loadManifest(ROOT, ARGS.manifest, { discover: ARGS.discover });
+  info("Manifest: " + (fs.existsSync(m.file) ? m.file : "(none, auto-discovery)"));
+  if (m.problems.length) {
+    err(`Manifest validation failed (${m.problems.length} problem(s)):`);
+    for (const p of m.problems) err("  - " + p);
+    return 1;
+  }
+
+  const { resolved, problems } = manifest.validateSuites(ROOT, manifest.selectSuites(m.suites, { tags: ARGS.tags, names: ARGS.names }));
+  const suites = problems.map(p => ({ name: p.split(":")[0], findings: [{ level: "error", rule: "artifacts", message: p.slice(p.indexOf(":") + 1).trim() }] }));
+  for (const job of resolved) {
+    let findings;
+    try { findings = collectionLint.lintSuite(ROOT, job); }
+    catch (e) { findings = [{ level: "error", rule: "lint", message: e.message }]; }
+    suites.push({ name: job.suite.name, path: job.suite.path, collection: job.collection, data: job.data, findings });
+  }
+
+  const totals = { suites: suites.length, error: 0, warn: 0, info: 0 };
+  for (const s of suites) {
+    const count = level => s.findings.filter(f => f.level === level).length;
+    s.errors = count("error"); s.warnings = count("warn"); s.infos = count("info");
+    totals.error += s.errors; totals.warn += s.warnings; totals.info += s.infos;
+    info(`Lint: ${s.name} — ${s.errors} error(s), ${s.warnings} warning(s), ${s.infos} info`);
+    for (const f of s.findings) ({ error: err, warn, info })[f.level](`  [${f.rule}] ${f.message}`);
+  }
+
+  const outFile = ARGS.json ? path.resolve(ROOT, ARGS.json) : path.join(ROOT_LOGS, dateStamp(started), `lint_${fileStamp(started)}.json`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, JSON.stringify({
+    schema: "suite-lint",
+    generatedAt: started.toISOString(),
+    manifest: m.file,
+    totals,
+    suites
+  }, null, 2), "utf8");
+  console.log("✓ Wrote lint results ->", outFile);
+  info(`Lint: ${totals.suites} suite(s), ${totals.error} error(s), ${totals.warn} warning(s), ${totals.info} info`);
+  return totals.error ? 1 : 0;
+}
+
+// ===== Runner =====
+// Console sink for one suite: raw stream, "[suite] " line prefix, or buffered until the suite ends
+function makeSink(name, mode){
+  const partial = { out: "", err: "" };
+  const buffered = [];
+  const tag = `[${name}] `;
+  const emit = (kind, text) => (kind === "err" ? process.stderr : process.stdout).write(text);
+  return {
+    write(kind, chunk){
+      const text = chunk.toString();
+      if (mode === "stream") return emit(kind, text);
+      const lines = (partial[kind] + text).split(/\r?\n/);
+      partial[kind] = lines.pop();
+      for (const line of lines) {
+        if (mode === "prefix") emit(kind, tag + line + "\n");
+        else buffered.push([kind, line + "\n"]);
+      }
+    },
+    end(){
+      for (const kind of ["out", "err"]) {
+        if (!partial[kind]) continue;
+        if (mode === "prefix") emit(kind, tag + partial[kind] + "\n");
+        else if (mode === "buffer") buffered.push([kind, partial[kind] + "\n"]);
+        partial[kind] = "";
+      }
+      if (mode === "buffer" && buffered.length) {
+        console.log(`---------- ${name} ----------`);
+        for (const [kind, text] of buffered) emit(kind, text);
+        console.log(`---------- end ${name} ----------`);
+      }
+    }
+  };
+}
+
+// One suite in its own process; resolves { code, timedOut, ms } and never rejects
+function runSuiteProcess(job, { output, timeoutSec, newmanDir }){
+  return new Promise(resolve => {
+    const name = job.suite.name;
+    const started = Date.now();
+    const sink = makeSink(name, output);
+    const child = spawn(process.execPath, [RUN_SUITE_JS, JSON.stringify(job)], {
+      cwd: ROOT,
+      env: { ...process.env, PROJECT_ROOT: ROOT, NEWMAN_DIR: newmanDir },
+      stdio: ["ignore", "pipe", "pipe"]
+    });
+    child.stdout.on("data", c => sink.write("out", c));
+    child.stderr.on("data", c => sink.write("err", c));
+
+    let timedOut = false, killTimer = null;
+    const timer = timeoutSec > 0 ? setTimeout(() => {
+      timedOut = true;
+      err(`[${name}] Timed out after ${timeoutSec}s, killing Newman run (pid ${child.pid})`);
+      child.kill("SIGTERM");
+      killTimer = setTimeout(() => child.kill("SIGKILL"), 5000);
+    }, timeoutSec * 1000) : null;
+
+    const done = code => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      sink.end();
+      resolve({ code: timedOut ? 124 : (code == null ? 1 : code), timedOut, ms: Date.now() - started });
+    };
+    child.on("error", e => { err(`[${name}] ${e.message}`); done(1); });
+    child.on("close", done);
+  });
+}
+
+// Parent/Module[@env] of a suite as make-suite-report.js names it (first and last folder under ROOT)
+function suiteId(job, envName){
+  const segs = path.relative(ROOT, job.dir).split(/[\\/]+/);
+  return `${segs[0]}/${segs[segs.length - 1]}` + (envName ? "@" + envName : "");
+}
+
+// A suite's Temp result from an earlier run; removed before it starts, so a suite that is
+// killed or crashes leaves nothing for combine-email-report.js to publish as this run's
+function clearTempResult(job){
+  const [parent, name] = suiteId(job, job.envName).split("/");
+  for (const ext of [".html", ".json"]) {
+    const f = path.join(TEMP_ROOT, parent, `${name}_latest${ext}`);
+    if (fs.existsSync(f)) fs.rmSync(f, { force: true });
+  }
+}
+
+async function runSuites(jobs, { parallel, output, timeoutSec }){
+  fs.mkdirSync(ROOT_LOGS, { recursive: true });
+
+  const newmanDir = resolveNewmanDir();
+  if (!newmanDir) { err("newman not found"); err("Install with: npm i -g newman"); return 1; }
+  if (!fs.existsSync(SUITE_JS)) { err("Missing: " + SUITE_JS); return 1; }
+
+  info("Node version: " + process.version);
+  info("Newman version: " + JSON.parse(fs.readFileSync(path.join(newmanDir, "package.json"), "utf8")).version);
+
+  const workers = Math.max(1, Math.min(parallel, jobs.length || 1));
+  info(`Running ${jobs.length} suite(s), ${workers} at a time`);
+
+  const results = [];
+  let next = 0;
+  async function worker(){
+    while (next < jobs.length) {
+      const job = jobs[next++];
+      const t = timeoutSec != null ? timeoutSec : (job.suite.timeoutSec || 0);
+      if (workers > 1) info(`[${job.suite.name}] started`);
+      clearTempResult(job);
+      const r = await runSuiteProcess(job, { output, timeoutSec: t, newmanDir });
+      results.push({ name: job.suite.name, ...r });
+      if (r.code === 0) info(`[${job.suite.name}] finished in ${elapsedStr(r.ms)}`);
+      else err(`[${job.suite.name}] ${r.timedOut ? "timed out" : "failed (exit " + r.code + ")"} after ${elapsedStr(r.ms)}`);
+    }
+  }
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  const failed = results.filter(r => r.code !== 0);
+  if (failed.length) warn(`Suites with errors: ${failed.map(r => r.name + (r.timedOut ? " (timeout)" : "")).join(", ")}`);
+  info("Run complete (per-suite only).");
+  return Math.max(0, ...results.map(r => r.code));
+}
+
+// ===== Main =====
+(async function main(){
+  const scriptStart = new Date();
+  let code1 = 0, code3 = 0, code4 = 0, code5 = 0, code6 = 0, code7 = 0;
+  let cleanupDone = false;
+
+  try {
+    for (const p of [COMBINE_JS, CLEANUP_JS, ...(ARGS.compare ? [COMPARE_JS] : [])]) {
+      if (!fs.existsSync(p)) { err(`${path.basename(p)} not found: ${p}`); process.exitCode = 1; return; }
+    }
+
+    if (ARGS.command === "lint") { process.exitCode = lintAll(scriptStart); return; }
+
+    // STEP 0: manifest validation (nothing runs when any artifact is missing)
+    const loaded = loadJobs();
+    if (!loaded) { process.exitCode = 1; return; }
+
+    // STEP 1: per-suite runs (once per environment with --envs)
+    const parallel = ARGS.parallel || loaded.concurrency || 1;
+    const reportFlags = [...(ARGS.offline ? ["--offline"] : []), ...(ARGS.xlsx ? ["--xlsx"] : [])];
+    const mode = ARGS.command === "rerun-failed" ? { mode: "rerun-failed", retries: ARGS.retries } : {};
+    if (mode.mode) info("Rerunning failed test cases only");
+    const expected = [];
+    for (const envName of ARGS.envNames.length ? ARGS.envNames : [null]) {
+      expected.push(...loaded.jobs.map(j => suiteId(j, envName)));
+      if (ARGS.compare) info("Environment: " + envName);
+      const code = await runSuites(loaded.jobs.map(j => ({ ...j, reportFlags, ...mode, ...(envName ? { envName } : {}) })), {
+        parallel,
+        timeoutSec: ARGS.timeoutSec,
+        output: ARGS.output || (parallel > 1 ? "prefix" : "stream")
+      });
+      code1 = Math.max(code1, code);
+    }
+    if (code1 !== 0) warn("Suite runs exit code: " + code1);
+    else info("Suite runs OK");
+
+    // STEP 2: combine email report
+    info("Combining per-suite reports: " + COMBINE_JS);
+    const combineArgs = ["--expect-suites", expected.join(",")];
+    if (ARGS.baseline) combineArgs.push("--baseline", ARGS.baseline);
+    if (ARGS.excludeFlaky) combineArgs.push("--exclude-flaky");
+    if (ARGS.gates) combineArgs.push("--gates", ARGS.gates);
+    if (ARGS.noGates) combineArgs.push("--no-gates");
+    if (ARGS.xlsx) combineArgs.push("--xlsx");
+    if (mode.mode) combineArgs.push("--no-history");
+    code3 = runNode(COMBINE_JS, combineArgs);
+    const combined = code3 === 0 || code3 === GATE_EXIT_CODE;
+    if (code3 === GATE_EXIT_CODE) warn("Quality gates failed (combine-email-report.js exit code " + code3 + ")");
+    else if (code3 !== 0) warn("combine-email-report.js exit code: " + code3);
+    else info("combine-email-report.js OK");
+
+    // STEP 2a: environment comparison (--envs; reads Temp, so before cleanup)
+    if (ARGS.compare) {
+      info("Comparing environments: " + COMPARE_JS);
+      code7 = runNode(COMPARE_JS, ["--envs", ARGS.envNames.join(",")]);
+      if (code7 !== 0) warn("env-compare.js exit code: " + code7);
+      else info("env-compare.js OK");
+    }
+
+    // STEP 2b: email (only when asked for)
+    if (ARGS.email) {
+      info((ARGS.email === "send" ? "Sending email: " : "Writing email (dry run): ") + EMAIL_JS);
+      code5 = combined ? runNode(EMAIL_JS, ARGS.email === "send" ? [] : ["--dry-run"]) : 1;
+      if (code5 !== 0) warn("send-email.js exit code: " + code5);
+      else info("send-email.js OK");
+    }
+
+    // STEP 2c: chat notification (only when asked for)
+    if (ARGS.notify) {
+      info((ARGS.notify === "send" ? "Posting notifications: " : "Writing notifications (dry run): ") + NOTIFY_JS);
+      code6 = combined ? runNode(NOTIFY_JS, ARGS.notify === "send" ? [] : ["--dry-run"]) : 1;
+      if (code6 !== 0) warn("notify.js exit code: " + code6);
+      else info("notify.js OK");
+    }
+
+    // STEP 3: cleanup temp
+    info("Cleaning Temp: " + CLEANUP_JS);
+    code4 = runNode(CLEANUP_JS, [ROOT]);
+    cleanupDone = true;
+    if (code4 !== 0) warn("cleanup-temp.js exit code: " + code4);
+    else info("cleanup-temp.js OK");
+
+    const final = Math.max(code1, code3, code4, code5, code6, code7);
+    if (final === 0) info("All done.");
+    else warn("Flow completed with non-zero exit(s). Final code: " + final);
+    process.exitCode = final;
+  } catch (e) {
+    err(e.message || String(e));
+    process.exitCode = 1;
+  } finally {
+    const scriptEnd = new Date();
+    const lines = [
+      "==================== RUN TIMING ====================",
+      "Start : " + timeStamp(scriptStart),
+      "End   : " + timeStamp(scriptEnd),
+      "Total : " + elapsedStr(scriptEnd - scriptStart),
+      "===================================================="
+    ];
+    console.log("");
+    console.log(lines.join("\n"));
+
+    // Export timing ONLY after cleanup step happens
+    if (cleanupDone) {
+      const out = [
+        ...lines.slice(0, 4),
+        "----------------------------------------------------",
+        "suites exit  : " + code1,
+        "combine exit : " + code3,
+        ...(ARGS.compare ? ["compare exit : " + code7] : []),
+        ...(ARGS.email ? ["email exit   : " + code5] : []),
+        ...(ARGS.notify ? ["notify exit  : " + code6] : []),
+        "cleanup exit : " + code4,
+        lines[4]
+      ];
+      fs.writeFileSync(timingFile(scriptStart), out.join("\n") + "\n", "utf8");
+      info("Timing exported to: " + timingFile(scriptStart));
+    }
+  }
+})();
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * run-diff.js — what changed between two runs
+ * --------------------------------------------
+ * Compares API status keyed by "parent|module|api" (same key as
+ * aggregateApiStatsFromRows in combine-email-report.js). An API is failing when
+ * any of its executed cases failed.
+ *
+ * Sections: New failures / Fixed / Still failing / New APIs / Removed APIs
+ *
+ * Used by combine-email-report.js against the previous (or a chosen baseline)
+ * run in History\run-history.jsonl, and standalone for two Newman suite JSONs:
+ *
+ *   node scripts/run-diff.js <baseline-summary.json> <current-summary.json> [--html <out.html>] [--json <out.json>]
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
+
+const esc = s => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+const pretty = s => String(s||'').replace(/^SC_\d+_/,'').replace(/_/g,' ').trim() || 'Untitled';
+
+const SECTIONS = [
+  ["newFailures",  "New failures",  "#FFF1F2"],
+  ["fixed",        "Fixed",         "#ECFDF5"],
+  ["stillFailing", "Still failing", "#FEF3C7"],
+  ["newApis",      "New APIs",      "#EFF6FF"],
+  ["removedApis",  "Removed APIs",  "#F1F5F9"]
+];
+
+// { pass, fail, total } -> "pass" | "fail" | "none" (nothing executed)
+function apiStatus(e) {
+  if (!e || !(e.total > 0)) return "none";
+  return e.fail > 0 ? "fail" : "pass";
+}
+
+/**
+ * base / current: { "parent|module|api": { pass, fail, total } }
+ * Returns { newFailures, fixed, stillFailing, newApis, removedApis } — each a sorted
+ * list of { key, parent, module, api, before, after }.
+ */
+function diffApiMaps(base, current) {
+  const out = { newFailures: [], fixed: [], stillFailing: [], newApis: [], removedApis: [] };
+  const entry = (key, b, c) => {
+    const [parent, module, ...rest] = key.split("|");
+    return { key, parent, module, api: rest.join("|"), before: b || null, after: c || null };
+  };
+  for (const [key, c] of Object.entries(current || {})) {
+    const b = base ? base[key] : undefined;
+    const now = apiStatus(c);
+    if (!b) { out.newApis.push(entry(key, null, c)); continue; }
+    const was = apiStatus(b);
+    if (now === "fail" && was === "fail") out.stillFailing.push(entry(key, b, c));
+    else if (now === "fail") out.newFailures.push(entry(key, b, c));
+    else if (now === "pass" && was === "fail") out.fixed.push(entry(key, b, c));
+  }
+  for (const [key, b] of Object.entries(base || {})) {
+    if (!current || !current[key]) out.removedApis.push(entry(key, b, null));
+  }
+  for (const list of Object.values(out)) list.sort((x, y) => x.key.localeCompare(y.key));
+  return out;
+}
+
+const diffCount = d => SECTIONS.reduce((n, [k]) => n + d[k].length, 0);
+
+// ---- Newman summary JSON -> API map (standalone mode) ----
+function suiteNamesFromPath(file, collectionName) {
+  const rel = path.relative(ROOT, path.resolve(file));
+  const segs = rel.split(/[\\/]+/);
+  const r = segs.findIndex(x => /^reports$/i.test(x));
+  if (!rel.startsWith("..") && !path.isAbsolute(rel) && r >= 2) return [segs[0], segs[r - 1]];
+  return ["Suite", collectionName || path.basename(file, ".json")];
+}
+
+function apisFromNewmanSummary(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const [parent, module] = suiteNamesFromPath(file, data?.collection?.info?.name);
+  const map = {};
+  for (const ex of data?.run?.executions || []) {
+    const assertions = ex?.assertions || [];
+    const isSkip = assertions.some(a => /\bskip\b/i.test(a.assertion || "") || /\bskip\b/i.test(a.error?.message || ""));
+    if (isSkip) continue;
+    const api = pretty((ex?.item?.name || "Request").split("/")[0] || "Ungrouped");
+    const key = `${parent}|${module}|${api}`;
+    const cur = map[key] || { pass: 0, fail: 0, total: 0 };
+    if (assertions.some(a => a.error)) cur.fail++; else cur.pass++;
+    cur.total++;
+    map[key] = cur;
+  }
+  return map;
+}
+
+// ---- Rendering ----
+const counts = e => e ? `${e.pass}/${e.total}` : "—";
+
+/** HTML tables for the five sections (inline styles only, safe for email). */
+function diffHtml(diff, opts = {}) {
+  const th = 'style="border:1px solid #e5e7eb;padding:6px 8px;text-align:left;background:#f1f5f9"';
+  const td = 'style="border:1px solid #e5e7eb;padding:6px 8px;text-align:left"';
+  const parts = [];
+  if (opts.baselineLabel) parts.push(`<div style="color:#64748b;margin:0 0 8px">Compared with: ${esc(opts.baselineLabel)}</div>`);
+  if (!diffCount(diff)) {
+    parts.push('<div style="color:#64748b">No changes in API status.</div>');
+    return parts.join('');
+  }
+  for (const [key, title, bg] of SECTIONS) {
+    const list = diff[key];
+    parts.push(`<h4 style="margin:12px 0 6px">${esc(title)} (${list.length})</h4>`);
+    if (!list.length) { parts.push('<div style="color:#64748b">None.</div>'); continue; }
+    parts.push(
+      '<table style="border-collapse:collapse;width:100%">',
+      `<thead><tr><th ${th}>Parent</th><th ${th}>Module</th><th ${th}>API</th><th ${th}>Before (pass/total)</th><th ${th}>Now (pass/total)</th></tr></thead><tbody>`,
+      list.map(e => `<tr style="background:${bg}"><td ${td}>${esc(e.parent)}</td><td ${td}>${esc(e.module)}</td><td ${td}>${esc(e.api)}</td><td ${td}>${esc(counts(e.before))}</td><td ${td}>${esc(counts(e.after))}</td></tr>`).join(''),
+      '</tbody></table>'
+    );
+  }
+  return parts.join('');
+}
+
+function diffText(diff) {
+  const lines = [];
+  for (const [key, title] of SECTIONS) {
+    lines.push(`${title} (${diff[key].length})`);
+    for (const e of diff[key]) lines.push(`  - ${e.key}  ${counts(e.before)} -> ${counts(e.after)}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = { SECTIONS, apiStatus, diffApiMaps, diffCount, apisFromNewmanSummary, diffHtml, diffText };
+
+// ---- CLI ----
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const opt = name => { const i = args.indexOf(name); if (i < 0) return null; const v = args[i + 1]; args.splice(i, 2); return v; };
+  const htmlOut = opt("--html");
+  const jsonOut = opt("--json");
+  const [baseFile, curFile] = args;
+  if (!baseFile || !curFile) {
+    console.error("Usage: node run-diff.js <baseline-summary.json> <current-summary.json> [--html <out.html>] [--json <out.json>]");
+    process.exit(1);
+  }
+
+  let diff;
+  try { diff = diffApiMaps(apisFromNewmanSummary(baseFile), apisFromNewmanSummary(curFile)); }
+  catch (e) { console.error("❌ Failed to read/parse input JSON:", e.message); process.exit(1); }
+
+  console.log(`Baseline: ${baseFile}\nCurrent : ${curFile}\n`);
+  console.log(diffText(diff));
+
+  if (jsonOut) {
+    fs.writeFileSync(jsonOut, JSON.stringify({ baseline: baseFile, current: curFile, ...diff }, null, 2), "utf8");
+    console.log("✓ Wrote diff JSON ->", jsonOut);
+  }
+  if (htmlOut) {
+    const page = [
+      '<!doctype html><html><head><meta charset="utf-8"><title>Run comparison</title></head>',
+      '<body style="font:14px Segoe UI,Arial,sans-serif;color:#111;margin:24px">',
+      '<h1 style="font-size:20px">Run comparison</h1>',
+      diffHtml(diff, { baselineLabel: `${path.basename(baseFile)} → ${path.basename(curFile)}` }),
+      '</body></html>'
+    ].join('');
+    fs.writeFileSync(htmlOut, page, "utf8");
+    console.log("✓ Wrote diff HTML ->", htmlOut);
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * run-history.js
+ * --------------
+ * Local history of combined runs, one JSON line per run:
+ *   <ROOT>\History\run-history.jsonl
+ *
+ * A record holds the run's aggregates (written by combine-email-report.js):
+ *   { version, runId, date,
+ *     grand:   { apis:{unique,passed,failed}, apiPct, cases:{total,pass,fail}, casePct, avgMs, p50, p90, p95 },
+ *     parents: { "<parent>": <same shape as grand> },
+ *     modules: { "<parent>|<module>": <same shape as grand> },
+ *     apis:    { "<parent>|<module>|<api>": { pass, fail, total, passPct, avgMs } },
+ *     gates:   { passed } }                     // only when quality gates were evaluated
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const HISTORY_VERSION = 1;
+
+const historyFile = root => path.join(root, "History", "run-history.jsonl");
+
+// Nearest-rank percentile; null for an empty list
+function percentile(values, p) {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const rank = Math.ceil((p / 100) * v.length);
+  return v[Math.min(v.length, Math.max(1, rank)) - 1];
+}
+
+function respSummary(values) {
+  const v = values.filter(Number.isFinite);
+  return {
+    avgMs: v.length ? Math.round(v.reduce((a, b) => a + b, 0) / v.length) : null,
+    p50: percentile(v, 50),
+    p90: percentile(v, 90),
+    p95: percentile(v, 95)
+  };
+}
+
+// Last `limit` records, oldest first; unreadable lines are skipped
+function readRuns(root, limit) {
+  const file = historyFile(root);
+  if (!fs.existsSync(file)) return [];
+  const runs = [];
+  for (const line of fs.readFileSync(file, "utf8").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const r = JSON.parse(line);
+      if (r && r.version <= HISTORY_VERSION) runs.push(r);
+    } catch {}
+  }
+  return limit ? runs.slice(-limit) : runs;
+}
+
+function appendRun(root, record) {
+  const file = historyFile(root);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify({ version: HISTORY_VERSION, ...record }) + "\n", "utf8");
+  return file;
+}
+
+module.exports = { HISTORY_VERSION, historyFile, percentile, respSummary, readRuns, appendRun };
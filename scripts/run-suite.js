@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * run-suite.js — runs ONE suite (the Invoke-One step of my-script.txt)
+ * --------------------------------------------------------------------
+ * Spawned by run-all.js once per suite so that suites can run side by side and a
+ * hung Newman run can be killed without taking the runner down.
+ *
+ *   1) Resolve collection / environment / data (suite-manifest.js)
+ *   2) Newman library run (cli + json reporters)
+ *        JSON + HTML -> <Suite>\Reports\<YYYY-MM-DD>\
+ *        Newman log  -> Reports\<YYYY-MM-DD>\newman_<base>_<stamp>.log
+ *   3) make-suite-report.js -> per-suite HTML + Temp copy
+ *
+ * Environment (env-overlay.js): the suite's environment file plus the job's overlay
+ * (job.envName, run-all.js --env) with ${VAR} placeholders filled from the process
+ * environment / .env; Newman gets the result, the summary JSON a masked copy
+ * ("resolvedEnvironment") for the report. With an overlay the output names carry it,
+ * <base>@<env>_<stamp>.*, so runs of one suite against several environments (run-all.js
+ * --envs) keep their own summaries, rerun-failed and flaky history.
+ *
+ * .xlsx data (iteration-data.js): the suite's sheet is read in Node and its enabled rows
+ * are passed to Newman as iteration data; nothing is converted or written next to it.
+ *
+ * Rerun failed (job.mode "rerun-failed", rerun-failed.js): instead of a full run, the
+ * suite's latest summary JSON is read and only its failed requests x failed data rows
+ * are run again, up to job.retries (else the suite's "retries", else 1) times, each
+ * retry only with what still fails. Retry summaries go next to the original summary
+ * (retry_<base>_<stamp>_r<n>.json) and the original suite HTML is rebuilt with them.
+ *
+ * Usage:
+ *   node scripts/run-suite.js '<job-json>'     (job = { suite, dir } from suite-manifest.validateSuites,
+ *                                              plus optional reportFlags for make-suite-report.js,
+ *                                              mode "rerun-failed", retries and envName)
+ * Exit code: 0 when the suite HTML was produced, 1 otherwise.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync, execSync } = require("child_process");
+const manifest = require("./suite-manifest");
+const rerun = require("./rerun-failed");
+const { isExcel, readIterationData, writeCsv } = require("./iteration-data");
+const envOverlay = require("./env-overlay");
+
+// ===== Root Paths =====
+const ROOT      = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
+const ROOT_LOGS = path.join(ROOT, "Reports");
+const RERUN_DIR = path.join(ROOT, "Temp", "Rerun");   // filtered collections / CSVs (removed by cleanup-temp.js)
+const SUITE_JS  = path.join(__dirname, "make-suite-report.js");
+
+// ===== Logging =====
+function info(m){ console.log("[INFO] " + m); }
+function warn(m){ console.warn("[WARN] " + m); }
+function err (m){ console.error("[ERR ] " + m); }
+
+// ===== Helpers =====
+const pad2 = n => String(n).padStart(2, "0");
+const dateStamp = d => `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
+const fileStamp = d => `${d.getFullYear()}${pad2(d.getMonth()+1)}${pad2(d.getDate())}_${pad2(d.getHours())}${pad2(d.getMinutes())}${pad2(d.getSeconds())}`;
+const timeStamp = d => `${dateStamp(d)} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+
+function showState(label, p){
+  if (fs.existsSync(p)) info(`${label}: exists (${fs.statSync(p).size} bytes) -> ${p}`);
+  else warn(`${label}: missing -> ${p}`);
+}
+
+// Newman is installed globally (npm i -g newman); fall back to the global root when not local
+function resolveNewmanDir(){
+  if (process.env.NEWMAN_DIR && fs.existsSync(path.join(process.env.NEWMAN_DIR, "package.json"))) return process.env.NEWMAN_DIR;
+  try { return path.dirname(require.resolve("newman/package.json")); } catch {}
+  try {
+    const globalRoot = execSync("npm root -g", { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+    const dir = path.join(globalRoot, "newman");
+    return fs.existsSync(path.join(dir, "package.json")) ? dir : null;
+  } catch {
+    return null;
+  }
+}
+function loadNewman(){
+  const dir = resolveNewmanDir();
+  if (!dir) return null;
+  const { version } = JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8"));
+  return { run: require(dir).run, version, dir };
+}
+
+// Claim a file name atomically; parallel suites with the same base never share a log
+function claimFile(dir, stem, ext){
+  for (let n = 1; ; n++) {
+    const p = path.join(dir, n === 1 ? `${stem}${ext}` : `${stem}_${n}${ext}`);
+    try { fs.closeSync(fs.openSync(p, "wx")); return p; }
+    catch (e) { if (e.code !== "EEXIST") throw e; }
+  }
+}
+
+// Mirror stdout/stderr into a log file while fn runs (Start-Transcript equivalent)
+async function withTranscript(logFile, fn){
+  const out = process.stdout.write.bind(process.stdout);
+  const errw = process.stderr.write.bind(process.stderr);
+  const tee = orig => (chunk, enc, cb) => {
+    try { fs.appendFileSync(logFile, chunk); } catch {}
+    return orig(chunk, enc, cb);
+  };
+  fs.appendFileSync(logFile, `**********************\nTranscript start: ${timeStamp(new Date())}\n**********************\n`);
+  process.stdout.write = tee(out);
+  process.stderr.write = tee(errw);
+  try {
+    return await fn();
+  } finally {
+    process.stdout.write = out;
+    process.stderr.write = errw;
+    fs.appendFileSync(logFile, `**********************\nTranscript end: ${timeStamp(new Date())}\n**********************\n`);
+  }
+}
+
+function runNewman(newman, options){
+  return new Promise((resolve, reject) => {
+    newman.run(options, (e, summary) => e ? reject(e) : resolve(summary));
+  });
+}
+
+function runNode(script, args){
+  const r = spawnSync(process.execPath, [script, ...args], { stdio: "inherit", cwd: ROOT, env: { ...process.env, PROJECT_ROOT: ROOT } });
+  if (r.error) { err(`${path.basename(script)}: ${r.error.message}`); return 1; }
+  return r.status == null ? 1 : r.status;
+}
+
+// CSV: the file (Newman parses it); .xlsx: the enabled rows of the suite's sheet
+function iterationDataFor(file, s){
+  if (!isExcel(file)) return file;
+  const { rows, sheet, disabled } = readIterationData(file, { sheet: s.sheet });
+  info(`  Data sheet : ${sheet} (${rows.length} row(s)${disabled ? `, ${disabled} disabled` : ""})`);
+  if (!rows.length) throw new Error(`No enabled data rows in sheet "${sheet}" of ${file}`);
+  return rows;
+}
+
+// Base environment + overlay + ${VAR} placeholders; throws before Newman starts
+function environmentFor(job, envFile){
+  const resolved = envOverlay.resolveEnvironment(ROOT, job.dir, envFile, { name: job.envName, required: job.suite.requiredEnv });
+  if (resolved.name) info(`  Env overlay: ${resolved.name} (${resolved.layers.join(" -> ")})`);
+  return resolved;
+}
+
+// Output name stem: the collection's base name, plus "@<env>" for an overlay run
+const reportBase = (collection, job) => manifest.cleanBase(collection) + (job.envName ? "@" + job.envName : "");
+
+// ===== Runner =====
+async function invokeOne(newman, job){
+  const { suite: s, dir: cwd } = job;
+  info("Working dir: " + cwd);
+
+  const collection = manifest.resolveArtifact(cwd, s.collection, "*.postman_collection.json", "Collection", { info, warn });
+  const env        = manifest.resolveArtifact(cwd, s.environment, ["*.postman_environment.json", "*.postman_environment*"], "Environment", { info, warn });
+  const dataCsv    = manifest.resolveData(cwd, s.data, { info, warn });
+
+  const start  = new Date();
+  const stamp  = fileStamp(start);
+  const byDate = dateStamp(start);
+
+  const suiteOutDir = path.join(cwd, "Reports", byDate);
+  fs.mkdirSync(suiteOutDir, { recursive: true });
+  const rootDay = path.join(ROOT_LOGS, byDate);
+  fs.mkdirSync(rootDay, { recursive: true });
+
+  const base      = reportBase(collection, job);
+  const jsonSuite = path.join(suiteOutDir, `summary_${base}_${stamp}.json`);
+  const htmlSuite = path.join(suiteOutDir, `${base}_${stamp}.html`);
+  const logRoot   = claimFile(rootDay, `newman_${base}_${stamp}`, ".log");
+
+  showState("PRE-JSON (suite)", jsonSuite);
+  showState("PRE-HTML (suite)", htmlSuite);
+
+  info("Running Newman");
+  info("  Collection : " + collection);
+  info("  Environment: " + env);
+  const resolvedEnv = environmentFor(job, env);
+  info("  Data       : " + dataCsv);
+  const iterationData = iterationDataFor(dataCsv, s);
+  info("  Report base: " + base);
+
+  await withTranscript(logRoot, () => runNewman(newman, {
+    collection,
+    environment: resolvedEnv.environment,
+    iterationData,
+    workingDir: cwd,
+    reporters: ["cli", "json"],
+    reporter: { json: { export: jsonSuite } },
+    verbose: true
+  }));
+
+  showState("POST-JSON (suite)", jsonSuite);
+  showState("LOG (root)", logRoot);
+
+  if (!fs.existsSync(jsonSuite)) {
+    err("JSON not created. See log: " + logRoot);
+    throw new Error("Newman did not produce JSON: " + s.title);
+  }
+  const summary = JSON.parse(fs.readFileSync(jsonSuite, "utf8"));
+  summary.resolvedEnvironment = envOverlay.describe(resolvedEnv);
+  fs.writeFileSync(jsonSuite, JSON.stringify(summary, null, 2), "utf8");
+
+  buildReport(job, jsonSuite, htmlSuite, env, dataCsv);
+  cleanRootDay(rootDay);
+}
+
+function buildReport(job, jsonSuite, htmlSuite, env, dataCsv){
+  const s = job.suite;
+  info("Building suite HTML with Node");
+  runNode(SUITE_JS, [jsonSuite, htmlSuite, s.title, String(s.slaMs), "--environment", env, "--data", dataCsv,
+    ...(s.sheet ? ["--data-sheet", s.sheet] : []), ...(job.reportFlags || [])]);
+
+  showState("POST-HTML (suite)", htmlSuite);
+  if (!fs.existsSync(htmlSuite)) { err("HTML not produced"); throw new Error("HTML not produced: " + htmlSuite); }
+
+  console.log("DONE -> " + htmlSuite);
+}
+
+// Keep root logs clean (no json/html in root logs)
+function cleanRootDay(rootDay){
+  for (const name of fs.readdirSync(rootDay)) {
+    if (!/\.(json|html)$/i.test(name)) continue;
+    try { fs.unlinkSync(path.join(rootDay, name)); } catch { warn("Could not remove stray file: " + path.join(rootDay, name)); }
+  }
+}
+
+// Failed requests x failed data rows of the latest summary, again, then rebuild its HTML
+async function rerunFailed(newman, job){
+  const { suite: s, dir: cwd } = job;
+  info("Working dir: " + cwd);
+
+  const collection = manifest.resolveArtifact(cwd, s.collection, "*.postman_collection.json", "Collection", { info, warn });
+  const env        = manifest.resolveArtifact(cwd, s.environment, ["*.postman_environment.json", "*.postman_environment*"], "Environment", { info, warn });
+  const dataCsv    = manifest.resolveData(cwd, s.data, { info, warn });
+  const base       = reportBase(collection, job);
+  const resolvedEnv = environmentFor(job, env);
+
+  const summaryFile = rerun.latestSummary(cwd, base);
+  if (!summaryFile) throw new Error(`No summary_${base}_*.json under ${path.join(cwd, "Reports")} to rerun`);
+  const htmlSuite = path.join(path.dirname(summaryFile), path.basename(summaryFile).replace(/^summary_/i, "").replace(/\.json$/i, ".html"));
+  info("Rerunning failed cases of: " + summaryFile);
+
+  const original = JSON.parse(fs.readFileSync(summaryFile, "utf8"));
+  let failing = rerun.failedCases(original);
+  const retries = Math.max(1, parseInt(job.retries ?? s.retries ?? 1, 10) || 1);
+  const { headers, rows } = readIterationData(dataCsv, { sheet: s.sheet });
+  const collectionJson = JSON.parse(fs.readFileSync(collection, "utf8"));
+
+  const rootDay = path.join(ROOT_LOGS, dateStamp(new Date()));
+  fs.mkdirSync(rootDay, { recursive: true });
+  const workDir = path.join(RERUN_DIR, s.name.replace(/[^A-Za-z0-9._-]+/g, "_"));
+  fs.mkdirSync(workDir, { recursive: true });
+
+  const countOf = m => [...m.values()].reduce((n, keys) => n + keys.size, 0);
+  info(`Failed test cases in the last run: ${countOf(failing)}`);
+
+  for (let attempt = 1; attempt <= retries && failing.size; attempt++) {
+    const iterations = [...failing.keys()].sort((a, b) => a - b);
+    const keys = new Set([...failing.values()].flatMap(k => [...k]));
+    const colFile = path.join(workDir, `${base}_r${attempt}.postman_collection.json`);
+    const csvFile = path.join(workDir, `${base}_r${attempt}.csv`);
+    fs.writeFileSync(colFile, JSON.stringify(rerun.filterCollection(collectionJson, keys), null, 2), "utf8");
+    writeCsv(csvFile, headers, iterations.map(i => rows[i] || {}));
+
+    const out = rerun.retryFile(summaryFile, attempt);
+    const logRoot = claimFile(rootDay, `newman_${base}_retry${attempt}_${fileStamp(new Date())}`, ".log");
+    info(`Retry ${attempt}/${retries}: ${keys.size} request(s) x ${iterations.length} data row(s) -> ${out}`);
+
+    await withTranscript(logRoot, () => runNewman(newman, {
+      collection: colFile,
+      environment: resolvedEnv.environment,
+      iterationData: csvFile,
+      workingDir: cwd,
+      reporters: ["cli", "json"],
+      reporter: { json: { export: out } },
+      verbose: true
+    }));
+    if (!fs.existsSync(out)) throw new Error("Newman did not produce the retry JSON. See log: " + logRoot);
+
+    const retry = JSON.parse(fs.readFileSync(out, "utf8"));
+    retry.retryOf = { summary: path.basename(summaryFile), attempt, iterations };
+    fs.writeFileSync(out, JSON.stringify(retry, null, 2), "utf8");
+
+    failing = rerun.stillFailing(failing, retry);
+    info(`Retry ${attempt}: ${countOf(failing)} test case(s) still failing`);
+  }
+
+  buildReport(job, summaryFile, htmlSuite, env, dataCsv);
+  cleanRootDay(rootDay);
+}
+
+module.exports = { resolveNewmanDir, loadNewman };
+
+// ===== Main =====
+if (require.main === module) {
+  (async function main(){
+    let job;
+    try { job = JSON.parse(process.argv[2] || ""); }
+    catch { err("Usage: node run-suite.js '<job-json>'"); process.exit(1); }
+
+    const newman = loadNewman();
+    if (!newman) { err("newman not found"); err("Install with: npm i -g newman"); process.exit(1); }
+
+    try {
+      await (job.mode === "rerun-failed" ? rerunFailed : invokeOne)(newman, job);
+      process.exitCode = 0;
+    } catch (e) {
+      err(e.message || String(e));
+      process.exitCode = 1;
+    }
+  })();
+}
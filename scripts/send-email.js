@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * send-email.js — mails the combined report (step after combine-email-report.js)
+ * -------------------------------------------------------------------------------
+ * Body        : EmailReports\<date>\EmailBody_Inline.html
+ * Attachments : the combined report HTML, plus optionally every suite's HTML and
+ *               JUnit XML (paths from run-summary.json)
+ * Subject     : template with the run's figures from run-summary.json
+ *
+ * Plain SMTP client (net / tls, no packages): STARTTLS or implicit TLS, AUTH PLAIN /
+ * LOGIN. --dry-run writes the message as an .eml file instead of sending it, so the
+ * mail can be checked in Outlook / Thunderbird (without mail.json it is addressed to
+ * placeholders, so no SMTP settings are needed); a local SMTP sink (e.g. smtp4dev,
+ * MailHog: host "localhost", port 1025, secure false, starttls false) works too.
+ *
+ * mail.json (project root, or --config <file>):
+ *   {
+ *     "smtp": { "host": "smtp.office365.com", "port": 587, "secure": false, "starttls": true,
+ *               "user": "qa-bot@example.com", "passEnv": "SMTP_PASSWORD",
+ *               "rejectUnauthorized": true, "timeoutSec": 30 },
+ *     "from": "API Automation <qa-bot@example.com>",
+ *     "to": ["qa-team@example.com"], "cc": [], "bcc": [],
+ *     "parents": { "EY.COM": { "to": ["ey-owners@example.com"], "cc": [] } },
+ *     "subject": "{title} {date} — {casePct}% passed ({failed} failed)",
+ *     "attach": { "report": true, "suiteHtml": false, "junit": false, "results": false }
+ *   }
+ * "parents": recipients added when that parent is in the run. The password is read
+ * from the environment variable named by "passEnv" (default SMTP_PASSWORD); "pass" in
+ * the file also works but keeps the secret on disk.
+ * Subject placeholders: {title} {date} {status} (PASSED / FAILED; FAILED when a test case
+ * or a quality gate failed) {casePct} {apiPct} {total} {passed} {failed} {skipped} {notRun}
+ * {known} {parents}.
+ *
+ * Usage:
+ *   node scripts/send-email.js [--config mail.json] [--date YYYY-MM-DD] [--dry-run] [--eml <file>]
+ * Exit code: 0 sent / written, 1 on any error.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+const { runStatus } = require("./quality-gates");
+
+// ===== Root Paths =====
+const ROOT       = process.env.PROJECT_ROOT || path.resolve(__dirname, "..");
+const EMAIL_ROOT = path.join(ROOT, "EmailReports");
+
+// ===== Logging =====
+function info(m){ console.log("[INFO] " + m); }
+function warn(m){ console.warn("[WARN] " + m); }
+function err (m){ console.error("[ERR ] " + m); }
+
+// ===== Args =====
+const ARGV = process.argv.slice(2);
+const argValue = (name, dflt) => { const i = ARGV.indexOf(name); return i >= 0 && ARGV[i + 1] != null ? ARGV[i + 1] : dflt; };
+const DRY_RUN = ARGV.includes("--dry-run");
+
+const DEFAULTS = {
+  subject: "{title} {date} — {casePct}% passed ({failed} failed)",
+  title: "Digital API Automation",
+  attach: { report: true, suiteHtml: false, junit: false, results: false }
+};
+// --dry-run without mail.json: the .eml is still written, addressed to placeholders
+const DRY_RUN_PLACEHOLDERS = { from: "API Automation <api-automation@example.com>", to: ["qa-team@example.com"] };
+
+const pad2 = n => String(n).padStart(2, "0");
+const today = () => { const d = new Date(); return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`; };
+const list = v => [].concat(v || []).map(String).map(s => s.trim()).filter(Boolean);
+
+// ===== Config =====
+function loadConfig(file){
+  const cfgFile = path.resolve(ROOT, file || "mail.json");
+  let raw;
+  if (fs.existsSync(cfgFile)) raw = JSON.parse(fs.readFileSync(cfgFile, "utf8"));
+  else if (DRY_RUN && !file) {
+    warn(`Mail config not found: ${cfgFile}; dry run addressed to placeholders (${DRY_RUN_PLACEHOLDERS.to.join(", ")})`);
+    raw = DRY_RUN_PLACEHOLDERS;
+  }
+  else throw new Error("Mail config not found: " + cfgFile);
+  const cfg = { ...DEFAULTS, ...raw, attach: { ...DEFAULTS.attach, ...(raw.attach || {}) }, smtp: { ...(raw.smtp || {}) } };
+  const problems = [];
+  if (!cfg.from) problems.push('"from" is required');
+  if (!list(cfg.to).length && !cfg.parents) problems.push('"to" (or "parents") needs at least one recipient');
+  if (!DRY_RUN && !cfg.smtp.host) problems.push('"smtp.host" is required');
+  if (problems.length) throw new Error(`${path.basename(cfgFile)}: ${problems.join("; ")}`);
+  return cfg;
+}
+
+// "Name <a@b.c>" -> "a@b.c"
+const addressOf = s => { const m = String(s).match(/<([^>]+)>/); return (m ? m[1] : String(s)).trim(); };
+
+function recipients(cfg, parents){
+  const pick = key => {
+    const out = list(cfg[key]);
+    for (const p of parents) out.push(...list(cfg.parents?.[p]?.[key]));
+    return [...new Set(out)];
+  };
+  return { to: pick("to"), cc: pick("cc"), bcc: pick("bcc") };
+}
+
+function subjectFor(template, cfg, summary){
+  const g = summary.grand || {};
+  const c = g.cases || {};
+  const values = {
+    title: cfg.title, date: summary.date,
+    status: runStatus(summary),
+    casePct: g.casePct, apiPct: g.apiPct,
+    total: c.total, passed: c.pass, failed: c.fail,
+    skipped: c.skipped, notRun: c.notRun, known: c.known,
+    parents: Object.keys(summary.parents || {}).join(", ")
+  };
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => values[k] != null ? String(values[k]) : m);
+}
+
+// ===== MIME =====
+const b64Lines = buf => buf.toString("base64").replace(/.{1,76}/g, "$&\r\n");
+// RFC 2047 for non-ASCII header text
+const encodeWord = s => /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, "utf8").toString("base64")}?=`;
+const MIME_TYPES = {
+  ".html": "text/html", ".htm": "text/html", ".xml": "application/xml", ".json": "application/json",
+  ".csv": "text/csv", ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+function buildMessage({ from, to, cc, subject, html, attachments }){
+  const boundary = "----=_Part_" + crypto.randomBytes(12).toString("hex");
+  const domain = addressOf(from).split("@")[1] || os.hostname();
+  const head = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    ...(cc.length ? [`Cc: ${cc.join(", ")}`] : []),
+    `Subject: ${encodeWord(subject)}`,
+    `Date: ${new Date().toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${boundary}"`
+  ];
+  const parts = [
+    [
+      `--${boundary}`,
+      "Content-Type: text/html; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      b64Lines(Buffer.from(html, "utf8"))
+    ].join("\r\n"),
+    ...attachments.map(a => [
+      `--${boundary}`,
+      `Content-Type: ${MIME_TYPES[path.extname(a.name).toLowerCase()] || "application/octet-stream"}; name="${encodeWord(a.name)}"`,
+      "Content-Transfer-Encoding: base64",
+      `Content-Disposition: attachment; filename="${encodeWord(a.name)}"`,
+      "",
+      b64Lines(a.content)
+    ].join("\r\n"))
+  ];
+  return head.join("\r\n") + "\r\n\r\n" + parts.join("") + `--${boundary}--\r\n`;
+}
+
+// ===== SMTP =====
+// Reads complete (multi-line) replies: "250-..." continues, "250 ..." ends
+function smtpSession(socket, timeoutMs){
+  let buffer = "", lines = [], waiter = null;
+  const replies = [];   // complete replies nobody has read yet (e.g. the greeting)
+  const pump = () => {
+    let i;
+    while ((i = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, "");
+      buffer = buffer.slice(i + 1);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join("\n") };
+        lines = [];
+        if (waiter) { const w = waiter; waiter = null; w.resolve(reply); }
+        else replies.push(reply);
+      }
+    }
+  };
+  const onData = chunk => { buffer += chunk.toString("utf8"); pump(); };
+  const onError = e => { if (waiter) { const w = waiter; waiter = null; w.reject(e); } };
+  const attach = s => {
+    s.on("data", onData);
+    s.on("error", onError);
+    s.on("close", () => onError(new Error("SMTP connection closed")));
+    s.setTimeout(timeoutMs, () => { onError(new Error("SMTP timeout")); s.destroy(); });
+  };
+  attach(socket);
+
+  const api = {
+    socket,
+    read(){
+      if (replies.length) return Promise.resolve(replies.shift());
+      return new Promise((resolve, reject) => { waiter = { resolve, reject }; });
+    },
+    // label replaces the line in error messages (credentials, message data)
+    async send(line, expect, label){
+      api.socket.write(line + "\r\n");
+      const reply = await api.read();
+      if (expect && !expect.includes(reply.code)) throw new Error(`SMTP ${label || line} -> ${reply.text}`);
+      return reply;
+    },
+    upgrade(options){
+      return new Promise((resolve, reject) => {
+        api.socket.removeListener("data", onData);
+        const secure = tls.connect({ ...options, socket: api.socket }, () => resolve());
+        secure.once("error", reject);
+        api.socket = secure;
+        attach(secure);
+      });
+    }
+  };
+  return api;
+}
+
+function connect(smtp){
+  const port = Number(smtp.port) || (smtp.secure ? 465 : 25);
+  const options = { host: smtp.host, port, servername: smtp.host, rejectUnauthorized: smtp.rejectUnauthorized !== false };
+  return new Promise((resolve, reject) => {
+    const s = smtp.secure ? tls.connect(options, () => resolve(s)) : net.connect(options, () => resolve(s));
+    s.once("error", reject);
+  });
+}
+
+async function sendMail(smtp, envelope, message){
+  const timeoutMs = (Number(smtp.timeoutSec) || 30) * 1000;
+  const session = smtpSession(await connect(smtp), timeoutMs);
+  try {
+    let reply = await session.read();
+    if (reply.code !== 220) throw new Error("SMTP greeting: " + reply.text);
+    const name = os.hostname() || "localhost";
+    reply = await session.send(`EHLO ${name}`, [250]);
+
+    if (!smtp.secure && smtp.starttls !== false && /STARTTLS/i.test(reply.text)) {
+      await session.send("STARTTLS", [220]);
+      await session.upgrade({ servername: smtp.host, rejectUnauthorized: smtp.rejectUnauthorized !== false });
+      reply = await session.send(`EHLO ${name}`, [250]);
+    } else if (!smtp.secure && smtp.starttls === true) {
+      throw new Error("Server does not offer STARTTLS (set smtp.starttls to false to send unencrypted)");
+    }
+
+    const pass = smtp.pass != null ? String(smtp.pass) : process.env[smtp.passEnv || "SMTP_PASSWORD"];
+    if (smtp.user) {
+      if (pass == null) throw new Error(`No SMTP password: set ${smtp.passEnv || "SMTP_PASSWORD"}`);
+      if (/AUTH[ =][^\n]*PLAIN/i.test(reply.text)) {
+        await session.send("AUTH PLAIN " + Buffer.from(`\0${smtp.user}\0${pass}`, "utf8").toString("base64"), [235], "AUTH PLAIN");
+      } else {
+        await session.send("AUTH LOGIN", [334]);
+        await session.send(Buffer.from(smtp.user, "utf8").toString("base64"), [334], "AUTH LOGIN (user)");
+        await session.send(Buffer.from(pass, "utf8").toString("base64"), [235], "AUTH LOGIN (password)");
+      }
+    }
+
+    await session.send(`MAIL FROM:<${addressOf(envelope.from)}>`, [250]);
+    for (const rcpt of envelope.to) await session.send(`RCPT TO:<${addressOf(rcpt)}>`, [250, 251]);
+    await session.send("DATA", [354]);
+    // dot-stuffing: lines starting with "." get another "."
+    await session.send(message.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..") + "\r\n.", [250], "(message)");
+    await session.send("QUIT", [221]).catch(() => {});
+  } finally {
+    session.socket.end();
+  }
+}
+
+module.exports = { recipients, subjectFor, buildMessage, sendMail };
+
+// ===== Main =====
+if (require.main === module) (async function main(){
+  try {
+    const cfg = loadConfig(argValue("--config", null));
+    const date = argValue("--date", today());
+    const outDir = path.join(EMAIL_ROOT, date);
+    const summaryFile = path.join(outDir, "run-summary.json");
+    if (!fs.existsSync(summaryFile)) throw new Error("run-summary.json not found (run combine-email-report.js first): " + summaryFile);
+    const summary = JSON.parse(fs.readFileSync(summaryFile, "utf8"));
+    const files = summary.files || {};
+
+    const bodyFile = path.join(outDir, files.emailInline || "EmailBody_Inline.html");
+    if (!fs.existsSync(bodyFile)) throw new Error("Email body not found: " + bodyFile);
+
+    const attachments = [];
+    const addFile = p => {
+      if (p && fs.existsSync(p)) attachments.push({ name: path.basename(p), content: fs.readFileSync(p) });
+      else if (p) warn("Attachment not found, skipped: " + p);
+    };
+    if (cfg.attach.report) addFile(path.join(outDir, files.report || "Digital Api Automation Report.html"));
+    if (cfg.attach.junit && files.junit) addFile(path.join(outDir, files.junit));
+    if (cfg.attach.results) addFile(files.resultsXlsx ? path.join(outDir, files.resultsXlsx) : files.resultsCsv && path.join(outDir, files.resultsCsv));
+    for (const s of summary.suites || []) {
+      if (cfg.attach.suiteHtml) addFile(s.html);
+      if (cfg.attach.junit) addFile(s.junit);
+    }
+
+    const rcpt = recipients(cfg, Object.keys(summary.parents || {}));
+    if (!rcpt.to.length) throw new Error("No recipients for this run");
+    const subject = subjectFor(cfg.subject, cfg, summary);
+    const message = buildMessage({
+      from: cfg.from, to: rcpt.to, cc: rcpt.cc, subject,
+      html: fs.readFileSync(bodyFile, "utf8"),
+      attachments
+    });
+
+    info("Subject    : " + subject);
+    info("To         : " + rcpt.to.join(", ") + (rcpt.cc.length ? " | Cc: " + rcpt.cc.join(", ") : "") + (rcpt.bcc.length ? ` | Bcc: ${rcpt.bcc.length}` : ""));
+    info("Attachments: " + (attachments.map(a => a.name).join(", ") || "(none)"));
+
+    if (DRY_RUN) {
+      const eml = path.resolve(argValue("--eml", path.join(outDir, "EmailReport.eml")));
+      fs.writeFileSync(eml, message, "utf8");
+      console.log("✓ Dry run, message written ->", eml);
+      return;
+    }
+
+    info(`Sending via ${cfg.smtp.host}:${cfg.smtp.port || (cfg.smtp.secure ? 465 : 25)}`);
+    await sendMail(cfg.smtp, { from: cfg.from, to: [...rcpt.to, ...rcpt.cc, ...rcpt.bcc] }, message);
+    console.log("✓ Email sent to", rcpt.to.length + rcpt.cc.length + rcpt.bcc.length, "recipient(s)");
+  } catch (e) {
+    err(e.message || String(e));
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,64 @@
+/**
+ * sla-config.js
+ * -------------
+ * Response-time budgets per API / folder, and latency percentiles.
+ *
+ * Optional <ROOT>\sla.json:
+ *   {
+ *     "defaultMs": 1000,
+ *     "rules": [
+ *       { "match": "Flight search*",   "ms": 2000 },
+ *       { "match": "/core-?data/i",    "ms": 500  }
+ *     ]
+ *   }
+ * "match" is a wildcard pattern (* and ?, case-insensitive) or "/regex/flags", tried
+ * against the API name and then the folder name. First matching rule wins; without
+ * a match the suite's slaMs (suites.json / make-suite-report.js argument) applies,
+ * then defaultMs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { percentile } = require("./run-history");
+
+function toMatcher(pattern) {
+  const p = String(pattern);
+  const re = p.match(/^\/(.+)\/([a-z]*)$/s);
+  if (re) return new RegExp(re[1], re[2]);
+  const glob = p.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${glob}$`, 'i');
+}
+
+// { defaultMs, rules:[{ match, ms, re }] }; throws on an invalid file
+function loadSlaConfig(root, file) {
+  const cfgFile = file || path.join(root, "sla.json");
+  if (!fs.existsSync(cfgFile)) return { defaultMs: null, rules: [] };
+  const raw = JSON.parse(fs.readFileSync(cfgFile, "utf8"));
+  const rules = (raw.rules || []).map((r, i) => {
+    if (!r || !r.match || !(Number(r.ms) > 0)) throw new Error(`${path.basename(cfgFile)}: rules[${i}] needs "match" and "ms" > 0`);
+    return { match: String(r.match), ms: Number(r.ms), re: toMatcher(r.match) };
+  });
+  return { defaultMs: Number(raw.defaultMs) > 0 ? Number(raw.defaultMs) : null, rules };
+}
+
+/** Budget for one case: names = [api, folder, ...] (raw and pretty forms). */
+function slaFor(config, names, fallbackMs) {
+  for (const rule of config.rules) {
+    if (names.some(n => n && rule.re.test(n))) return rule.ms;
+  }
+  return fallbackMs != null ? fallbackMs : (config.defaultMs || 1000);
+}
+
+// p50 / p90 / p95 / p99 / max of a list of response times (nulls when empty)
+function latencyStats(values) {
+  const v = values.filter(Number.isFinite);
+  return {
+    p50: percentile(v, 50),
+    p90: percentile(v, 90),
+    p95: percentile(v, 95),
+    p99: percentile(v, 99),
+    max: v.length ? Math.max(...v) : null
+  };
+}
+
+module.exports = { loadSlaConfig, slaFor, latencyStats };
@@ -0,0 +1,285 @@
+/**
+ * suite-manifest.js
+ * -----------------
+ * Loads the declarative suite list (suites.json or suites.yaml) used by run-all.js and resolves
+ * every suite's collection / environment / data file the same way Resolve-Artifact
+ * does in my-script.txt (exact hint -> normalized name match -> newest match).
+ *
+ * suites.json
+ *   {
+ *     "autoDiscover": false,              // also pick up collections with no entry
+ *     "discoverRoot": "EY.COM",           // where auto-discovery looks
+ *     "concurrency": 1,                   // suites run at once (run-all.js --parallel)
+ *     "defaults": { "slaMs": 1000 },      // applied to every entry
+ *     "suites": [
+ *       { "path": "EY.COM/Flight_Number_Search",
+ *         "collection": "...postman_collection.json",
+ *         "environment": "...postman_environment.json",
+ *         "data": "....csv",                // or an .xlsx workbook (iteration-data.js)
+ *         "sheet": "Regression",          // .xlsx: sheet with the data (default: first sheet)
+ *         "title": "Digital Test Env - Flight Number Search",
+ *         "slaMs": 1000, "tags": ["flight-status"], "enabled": true,
+ *         "timeoutSec": 900,              // kill a hung Newman run (0 = no limit)
+ *         "retries": 1,                   // run-all.js rerun-failed attempts (default 1)
+ *         "requiredEnv": ["baseURL"],     // environment keys that must be set (env-overlay.js)
+ *         "lint": { "no-tests": "off" } }  // rule levels (collection-lint.js, data-lint.js)
+ *     ]
+ *   }
+ *
+ * suites.yaml / suites.yml hold the same keys in YAML (the subset yaml.js reads):
+ *   autoDiscover: false
+ *   suites:
+ *     - path: EY.COM/Flight_Number_Search
+ *       tags: [flight-status]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isExcel, readIterationData } = require("./iteration-data");
+const { lintConfigProblems } = require("./collection-lint");
+const { parseYaml } = require("./yaml");
+
+const DEFAULT_SLA_MS = 1000;
+// Looked up in this order when no manifest file is given
+const MANIFEST_NAMES = ["suites.json", "suites.yaml", "suites.yml"];
+const SKIP_DIRS = new Set(["Reports", "node_modules", ".git"]);
+
+const SILENT = { info(){}, warn(){} };
+
+// ===== Artifact resolution =====
+const normalize = s => String(s || "").replace(/[^A-Za-z0-9]/g, "").toLowerCase();
+
+// "*.postman_environment*" style wildcards (same semantics as Get-ChildItem -Filter)
+function wildcardToRegExp(pattern){
+  const body = String(pattern).replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp("^" + body + "$", "i");
+}
+
+function listFilesByNewest(dir, pattern){
+  if (!fs.existsSync(dir)) return [];
+  const re = wildcardToRegExp(pattern);
+  return fs.readdirSync(dir)
+    .map(name => path.join(dir, name))
+    .filter(p => re.test(path.basename(p)) && !path.basename(p).startsWith("~$") && fs.statSync(p).isFile())   // ~$ = Office lock file
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+}
+
+// Exact hint -> normalized name match -> newest match; throws when nothing fits
+function resolveArtifact(dir, hint, patterns, label, log = SILENT){
+  if (hint) {
+    const hintPath = path.resolve(dir, hint);
+    if (fs.existsSync(hintPath)) {
+      log.info(`${label} resolved (exact): ${hintPath}`);
+      return hintPath;
+    }
+  }
+  for (const pat of [].concat(patterns)) {
+    const cand = listFilesByNewest(dir, pat);
+    if (!cand.length) continue;
+    if (hint) {
+      const h = normalize(path.parse(hint).name);
+      const hit = cand.find(f => normalize(path.parse(f).name) === h);
+      if (hit) {
+        log.info(`${label} resolved (matched): ${hit}`);
+        return hit;
+      }
+    }
+    log.warn(`${label} using newest match (${pat}): ${cand[0]}`);
+    return cand[0];
+  }
+  throw new Error(`${label} not found in ${dir}` + (hint ? ` (hint: ${hint})` : ""));
+}
+
+// CSV first (exact hint wins, so "data": "x.xlsx" picks the workbook), then the newest .xlsx
+function resolveData(dir, hintCsv, log = SILENT){
+  try { return resolveArtifact(dir, hintCsv, "*.csv", /\.xlsx$/i.test(hintCsv || "") ? "Excel data" : "CSV", log); } catch {}
+  try { return resolveArtifact(dir, hintCsv, "*.xlsx", "Excel data", log); } catch {}
+  const xls = listFilesByNewest(dir, "*.xls");
+  if (xls.length) {
+    throw new Error(`Only legacy .xls data found (${xls[0]}); the Node runner reads .xlsx and CSV. Save it as .xlsx or CSV.`);
+  }
+  throw new Error(`CSV/Excel data not found in ${dir}` + (hintCsv ? ` (hint: ${hintCsv})` : ""));
+}
+
+function resolveSuite(root, suite, log = SILENT){
+  const dir = path.resolve(root, suite.path);
+  return {
+    dir,
+    collection: resolveArtifact(dir, suite.collection, "*.postman_collection.json", "Collection", log),
+    environment: resolveArtifact(dir, suite.environment, ["*.postman_environment.json", "*.postman_environment*"], "Environment", log),
+    data: resolveData(dir, suite.data, log)
+  };
+}
+
+function cleanBase(collectionPath){
+  let b = path.basename(collectionPath, path.extname(collectionPath));
+  b = b.replace(/(\.|_)postman_collection$/i, "");
+  b = b.replace(/(\.|_)collection$/i, "");
+  b = b.replace(/[._-]{2,}/g, "_");
+  return b.replace(/[_.-]+$/, "");
+}
+
+// ===== Discovery =====
+function findCollections(dir){
+  const out = [];
+  if (!fs.existsSync(dir)) return out;
+  for (const name of fs.readdirSync(dir)) {
+    const p = path.join(dir, name);
+    const st = fs.statSync(p);
+    if (st.isDirectory()) { if (!SKIP_DIRS.has(name)) out.push(...findCollections(p)); }
+    else if (/\.postman_collection\.json$/i.test(name)) out.push(p);
+  }
+  return out;
+}
+
+function discoverSuites(root, discoverRoot, covered){
+  return findCollections(path.resolve(root, discoverRoot))
+    .filter(file => !covered.has(path.resolve(file).toLowerCase()))
+    .map(file => ({
+      path: path.relative(root, path.dirname(file)).split(path.sep).join("/"),
+      collection: path.basename(file),
+      environment: null,
+      data: null,
+      title: cleanBase(file).replace(/_/g, " "),
+      tags: ["discovered"],
+      discovered: true
+    }));
+}
+
+// ===== Manifest =====
+function normalizeEntry(entry, defaults, index){
+  const e = { ...defaults, ...entry };
+  return {
+    name: e.name || (e.path ? path.basename(e.path) : `suite #${index + 1}`),
+    path: e.path,
+    collection: e.collection || null,
+    environment: e.environment || e.env || null,
+    data: e.data || e.csv || null,
+    sheet: e.sheet || null,
+    title: e.title || (e.path ? path.basename(e.path).replace(/_/g, " ") : "Digital API Automation"),
+    slaMs: e.slaMs == null ? DEFAULT_SLA_MS : e.slaMs,
+    timeoutSec: e.timeoutSec == null ? 0 : e.timeoutSec,
+    retries: e.retries == null ? 1 : e.retries,
+    tags: e.tags || [],
+    requiredEnv: e.requiredEnv || [],
+    lint: e.lint == null ? {} : (defaults.lint && entry.lint ? { ...defaults.lint, ...entry.lint } : e.lint),
+    enabled: e.enabled !== false,
+    discovered: !!e.discovered
+  };
+}
+
+/**
+ * Reads suites.json — or suites.yaml / suites.yml when there is no suites.json, or the
+ * given file (.yaml / .yml read as YAML, see yaml.js) — applies defaults and — when enabled —
+ * appends auto-discovered collections that have no manifest entry.
+ * Returns { file, suites, concurrency, problems } where problems are manifest-shape errors.
+ */
+function loadManifest(root, file, opts = {}){
+  const manifestFile = file ? path.resolve(root, file)
+    : MANIFEST_NAMES.map(f => path.join(root, f)).find(f => fs.existsSync(f)) || path.join(root, MANIFEST_NAMES[0]);
+  const problems = [];
+  let raw = { autoDiscover: true, suites: [] };
+
+  if (fs.existsSync(manifestFile)) {
+    const yaml = /\.ya?ml$/i.test(manifestFile);
+    try {
+      const text = fs.readFileSync(manifestFile, "utf8");
+      raw = (yaml ? parseYaml(text) : JSON.parse(text)) || {};
+    }
+    catch (e) { return { file: manifestFile, suites: [], problems: [`Manifest is not valid ${yaml ? "YAML" : "JSON"}: ${manifestFile} (${e.message})`] }; }
+  } else if (file) {
+    return { file: manifestFile, suites: [], problems: [`Manifest not found: ${manifestFile}`] };
+  }
+
+  const entries = Array.isArray(raw.suites) ? raw.suites : [];
+  if (raw.suites != null && !Array.isArray(raw.suites)) problems.push(`"suites" must be an array in ${manifestFile}`);
+  const concurrency = raw.concurrency == null ? 1 : Number(raw.concurrency);
+  if (!(concurrency >= 1)) problems.push(`"concurrency" must be a number >= 1 in ${manifestFile}`);
+
+  const defaults = raw.defaults || {};
+  const suites = entries.map((e, i) => normalizeEntry(e, defaults, i));
+
+  suites.forEach((s, i) => {
+    const where = `suites[${i}] (${s.name})`;
+    if (!s.path) problems.push(`${where}: "path" is required`);
+    if (!Number.isFinite(Number(s.slaMs)) || Number(s.slaMs) <= 0) problems.push(`${where}: "slaMs" must be a positive number`);
+    if (!Array.isArray(s.tags)) problems.push(`${where}: "tags" must be an array`);
+    if (!(Number(s.timeoutSec) >= 0)) problems.push(`${where}: "timeoutSec" must be a number of seconds`);
+    if (!Number.isInteger(Number(s.retries)) || Number(s.retries) < 1) problems.push(`${where}: "retries" must be a whole number >= 1`);
+    if (s.sheet != null && typeof s.sheet !== "string") problems.push(`${where}: "sheet" must be a sheet name`);
+    if (!Array.isArray(s.requiredEnv) || s.requiredEnv.some(k => typeof k !== "string")) problems.push(`${where}: "requiredEnv" must be a list of environment keys`);
+    for (const p of lintConfigProblems(s.lint)) problems.push(`${where}: ${p}`);
+    s.slaMs = Number(s.slaMs);
+    s.timeoutSec = Number(s.timeoutSec);
+    s.retries = Number(s.retries);
+  });
+
+  const autoDiscover = opts.discover != null ? opts.discover : raw.autoDiscover === true;
+  if (autoDiscover) {
+    const covered = new Set();
+    for (const s of suites) {
+      if (!s.path) continue;
+      try { covered.add(resolveArtifact(path.resolve(root, s.path), s.collection, "*.postman_collection.json", "Collection").toLowerCase()); }
+      catch {}
+    }
+    const found = discoverSuites(root, raw.discoverRoot || "EY.COM", covered);
+    suites.push(...found.map((e, i) => normalizeEntry(e, defaults, entries.length + i)));
+  }
+
+  return { file: manifestFile, suites, concurrency, problems };
+}
+
+// Tag / name filters from the command line
+function selectSuites(suites, { tags = [], names = [] } = {}){
+  return suites.filter(s => {
+    if (!s.enabled) return false;
+    if (tags.length && !s.tags.some(t => tags.includes(t))) return false;
+    if (names.length && !names.some(n => s.name === n || s.path === n)) return false;
+    return true;
+  });
+}
+
+/**
+ * Resolves every suite's artifacts up front and reports ALL problems at once.
+ * Returns { resolved: [{ suite, dir, collection, environment, data }], problems, warnings }.
+ */
+function validateSuites(root, suites){
+  const resolved = [];
+  const problems = [];
+  const warnings = [];
+  for (const suite of suites) {
+    const log = { info(){}, warn: m => warnings.push(`${suite.name}: ${m}`) };
+    const dir = path.resolve(root, suite.path || "");
+    if (!suite.path || !fs.existsSync(dir)) { problems.push(`${suite.name}: suite folder not found -> ${dir}`); continue; }
+
+    const artifacts = {};
+    const checks = [
+      ["collection", () => resolveArtifact(dir, suite.collection, "*.postman_collection.json", "Collection", log)],
+      ["environment", () => resolveArtifact(dir, suite.environment, ["*.postman_environment.json", "*.postman_environment*"], "Environment", log)],
+      ["data", () => {
+        const file = resolveData(dir, suite.data, log);
+        if (isExcel(file)) readIterationData(file, { sheet: suite.sheet });   // sheet exists, workbook readable
+        return file;
+      }]
+    ];
+    let ok = true;
+    for (const [key, fn] of checks) {
+      try { artifacts[key] = fn(); }
+      catch (e) { ok = false; problems.push(`${suite.name}: ${e.message}`); }
+    }
+    if (ok) resolved.push({ suite, dir, ...artifacts });
+  }
+  return { resolved, problems, warnings };
+}
+
+module.exports = {
+  DEFAULT_SLA_MS,
+  resolveArtifact,
+  resolveData,
+  resolveSuite,
+  cleanBase,
+  discoverSuites,
+  loadManifest,
+  selectSuites,
+  validateSuites
+};
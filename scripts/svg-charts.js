@@ -0,0 +1,148 @@
+/**
+ * svg-charts.js
+ * -------------
+ * Tiny inline-SVG chart builders for the HTML reports. Output is a plain <svg> string
+ * (no script, no external library), so charts render in mail clients, previews and
+ * archived files.
+ */
+
+const esc = s => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+const num = n => Number.isFinite(n) ? n : null;
+const r1 = n => Math.round(n * 10) / 10;
+
+const PALETTE = ['#2563eb', '#16a34a', '#dc2626', '#d97706', '#7c3aed', '#0891b2'];
+
+/**
+ * Multi-series line chart.
+ *   labels : x-axis labels (one per point)
+ *   series : [{ label, values:[number|null], color? }]
+ *   opts   : { width, height, yMax, unit, title }
+ * Null values leave a gap in the line.
+ */
+function lineChart(labels, series, opts = {}) {
+  const W = opts.width || 640, H = opts.height || 220;
+  const pad = { t: opts.title ? 28 : 12, r: 12, b: 34, l: 46 };
+  const iw = W - pad.l - pad.r, ih = H - pad.t - pad.b;
+
+  const all = series.flatMap(s => s.values.map(num)).filter(v => v != null);
+  const yMax = opts.yMax || niceMax(all.length ? Math.max(...all) : 1);
+  const n = labels.length;
+  const x = i => pad.l + (n <= 1 ? iw / 2 : (iw * i) / (n - 1));
+  const y = v => pad.t + ih - (ih * Math.min(v, yMax)) / yMax;
+
+  const out = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" width="100%" style="max-width:${W}px" role="img" aria-label="${esc(opts.title || 'chart')}">`];
+  if (opts.title) out.push(`<text x="${pad.l}" y="16" font-size="13" font-weight="600" fill="#0f172a">${esc(opts.title)}</text>`);
+
+  // grid + y ticks
+  for (let i = 0; i <= 4; i++) {
+    const v = (yMax * i) / 4, yy = r1(y(v));
+    out.push(`<line x1="${pad.l}" x2="${W - pad.r}" y1="${yy}" y2="${yy}" stroke="#e5e7eb"/>`);
+    out.push(`<text x="${pad.l - 6}" y="${yy + 4}" font-size="10" text-anchor="end" fill="#64748b">${esc(Math.round(v) + (opts.unit || ''))}</text>`);
+  }
+  // x labels (thinned to ~8)
+  const step = Math.max(1, Math.ceil(n / 8));
+  labels.forEach((lab, i) => {
+    if (i % step && i !== n - 1) return;
+    out.push(`<text x="${r1(x(i))}" y="${H - pad.b + 14}" font-size="10" text-anchor="middle" fill="#64748b">${esc(lab)}</text>`);
+  });
+
+  // series
+  series.forEach((s, si) => {
+    const color = s.color || PALETTE[si % PALETTE.length];
+    let d = '', pen = false;
+    s.values.forEach((v, i) => {
+      if (num(v) == null) { pen = false; return; }
+      d += (pen ? 'L' : 'M') + r1(x(i)) + ' ' + r1(y(v));
+      pen = true;
+    });
+    if (d) out.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="2"/>`);
+    s.values.forEach((v, i) => {
+      if (num(v) == null) return;
+      out.push(`<circle cx="${r1(x(i))}" cy="${r1(y(v))}" r="2.5" fill="${color}"><title>${esc(s.label)} · ${esc(labels[i])}: ${esc(v + (opts.unit || ''))}</title></circle>`);
+    });
+  });
+
+  // legend
+  let lx = pad.l;
+  series.forEach((s, si) => {
+    const color = s.color || PALETTE[si % PALETTE.length];
+    out.push(`<rect x="${lx}" y="${H - 12}" width="10" height="10" fill="${color}"/>`);
+    out.push(`<text x="${lx + 14}" y="${H - 3}" font-size="11" fill="#334155">${esc(s.label)}</text>`);
+    lx += 24 + String(s.label).length * 6.5;
+  });
+
+  out.push('</svg>');
+  return out.join('');
+}
+
+/**
+ * Inline sparkline for table cells / summaries. Last point is dotted.
+ *   opts: { width, height, yMax, color, title }
+ */
+function sparkline(values, opts = {}) {
+  const W = opts.width || 90, H = opts.height || 22;
+  const pts = values.map(num);
+  const have = pts.filter(v => v != null);
+  if (!have.length) return '';
+  const yMax = opts.yMax || Math.max(...have) || 1;
+  const yMin = opts.yMin != null ? opts.yMin : 0;
+  const n = pts.length;
+  const x = i => n <= 1 ? W / 2 : 2 + ((W - 4) * i) / (n - 1);
+  const y = v => 2 + (H - 4) * (1 - (Math.min(v, yMax) - yMin) / ((yMax - yMin) || 1));
+  const color = opts.color || PALETTE[0];
+
+  let d = '', pen = false, last = null;
+  pts.forEach((v, i) => {
+    if (v == null) { pen = false; return; }
+    d += (pen ? 'L' : 'M') + r1(x(i)) + ' ' + r1(y(v));
+    pen = true;
+    last = i;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" style="vertical-align:middle">` +
+    (opts.title ? `<title>${esc(opts.title)}</title>` : '') +
+    `<path d="${d}" fill="none" stroke="${color}" stroke-width="1.5"/>` +
+    `<circle cx="${r1(x(last))}" cy="${r1(y(pts[last]))}" r="2" fill="${color}"/>` +
+    '</svg>';
+}
+
+/**
+ * Horizontal bar chart, one bar per label (the per-suite "by Folder" charts).
+ *   opts: { width, barHeight, xMax, unit, color, title }
+ * Long labels are cut; the full label and value are in each bar's tooltip.
+ */
+function barChart(labels, values, opts = {}) {
+  const W = opts.width || 560, bh = opts.barHeight || 22;
+  const pad = { t: opts.title ? 30 : 10, r: 48, b: 10, l: 170 };
+  const H = pad.t + pad.b + Math.max(1, labels.length) * bh;
+  const iw = W - pad.l - pad.r;
+  const have = values.map(num).filter(v => v != null);
+  const xMax = opts.xMax || niceMax(have.length ? Math.max(...have) : 1);
+  const color = opts.color || PALETTE[0];
+  const cut = s => { s = String(s); return s.length > 26 ? s.slice(0, 25) + '…' : s; };
+
+  const out = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" width="100%" style="max-width:${W}px" role="img" aria-label="${esc(opts.title || 'chart')}">`];
+  if (opts.title) out.push(`<text x="${W / 2}" y="18" font-size="13" font-weight="600" text-anchor="middle" fill="#0f172a">${esc(opts.title)}</text>`);
+  out.push(`<line x1="${pad.l}" x2="${pad.l}" y1="${pad.t}" y2="${H - pad.b}" stroke="#cbd5e1"/>`);
+  labels.forEach((lab, i) => {
+    const v = num(values[i]);
+    const y = pad.t + i * bh;
+    const w = v == null ? 0 : r1((iw * Math.min(v, xMax)) / xMax);
+    const shown = v == null ? '—' : v + (opts.unit || '');
+    out.push(`<text x="${pad.l - 6}" y="${y + bh / 2 + 4}" font-size="11" text-anchor="end" fill="#334155">${esc(cut(lab))}</text>`);
+    out.push(`<rect x="${pad.l}" y="${y + 3}" width="${w}" height="${bh - 6}" rx="3" fill="${color}"><title>${esc(lab)}: ${esc(shown)}</title></rect>`);
+    out.push(`<text x="${pad.l + w + 4}" y="${y + bh / 2 + 4}" font-size="11" fill="#64748b">${esc(shown)}</text>`);
+  });
+  out.push('</svg>');
+  return out.join('');
+}
+
+function niceMax(v) {
+  if (v <= 0) return 1;
+  const p = Math.pow(10, Math.floor(Math.log10(v)));
+  for (const m of [1, 2, 2.5, 5, 10]) if (v <= m * p) return m * p;
+  return 10 * p;
+}
+
+module.exports = { lineChart, sparkline, barChart };
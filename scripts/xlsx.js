@@ -0,0 +1,337 @@
+/**
+ * xlsx.js
+ * -------
+ * Minimal Excel .xlsx (Office Open XML) support without npm packages: a zip
+ * container (zlib deflate + CRC-32) holding one worksheet per sheet.
+ *
+ *   writeXlsx(file, sheets)   sheets: [{ name, headers: [..], rows: [[..], ..] }]
+ *     numbers become numeric cells, everything else text (inline strings);
+ *     the header row is bold, frozen and has an AutoFilter, ready for pivoting.
+ *   readXlsx(file, { sheet })  -> { sheet, sheets, rows: [[text, ..], ..] }
+ *     one sheet (by name, default the first) as text the way Excel shows it:
+ *     text cells as typed ("0123" stays "0123"), whole numbers without ".0"
+ *     (200 -> "200"), zero-padded formats ("0000") padded, dates as yyyy-mm-dd
+ *     [hh:mm:ss], TRUE / FALSE, formulas as their cached result. Legacy .xls
+ *     (binary) workbooks are not supported.
+ */
+
+const fs = require("fs");
+const zlib = require("zlib");
+
+// ===== Zip =====
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// DOS date/time of "now" for the zip headers
+function dosStamp(d = new Date()) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+/** entries: [{ name, data: Buffer | string }] -> zip file Buffer (deflated). */
+function zip(entries) {
+  const { time, date } = dosStamp();
+  const locals = [], centrals = [];
+  let offset = 0;
+  for (const e of entries) {
+    const name = Buffer.from(e.name, "utf8");
+    const raw = Buffer.isBuffer(e.data) ? e.data : Buffer.from(String(e.data), "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);             // version needed
+    local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+    local.writeUInt16LE(8, 8);              // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, packed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);           // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);      // extra / comment / disk / attributes stay 0
+    centrals.push(central, name);
+
+    offset += local.length + name.length + packed.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+/** zip file Buffer -> Map(name -> Buffer); stored and deflated entries. */
+function unzip(buf) {
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) throw new Error("not a zip file (no central directory)");
+  const count = buf.readUInt16LE(end + 10);
+  let p = buf.readUInt32LE(end + 16);
+  const out = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("corrupt zip central directory");
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = buf.subarray(start, start + size);
+    if (method === 0) out.set(name, data);
+    else if (method === 8) out.set(name, zlib.inflateRawSync(data));
+    else throw new Error(`unsupported zip compression ${method} (${name})`);
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return out;
+}
+
+// ===== Workbook parts =====
+const xml = s => String(s ?? '')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function colName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+const MAX_CELL_TEXT = 32767;   // Excel's limit per cell
+
+function cell(value, ref, style) {
+  const s = style ? ` s="${style}"` : "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (value == null || value === "") return "";
+  const text = String(value).slice(0, MAX_CELL_TEXT);
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xml(text)}</t></is></c>`;
+}
+
+function sheetXml(sheet) {
+  const all = [sheet.headers, ...sheet.rows];
+  const lastCol = colName(Math.max(0, sheet.headers.length - 1));
+  const rows = all.map((r, i) =>
+    `<row r="${i + 1}">${r.map((v, j) => cell(v, colName(j) + (i + 1), i === 0 ? 1 : 0)).join("")}</row>`
+  ).join("");
+  const widths = sheet.headers.map((h, j) => {
+    const longest = Math.max(...all.slice(0, 200).map(r => String(r[j] ?? "").length));
+    return `<col min="${j + 1}" max="${j + 1}" width="${Math.min(60, Math.max(8, longest + 2))}" customWidth="1"/>`;
+  }).join("");
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+    `<cols>${widths}</cols>`,
+    `<sheetData>${rows}</sheetData>`,
+    `<autoFilter ref="A1:${lastCol}${all.length}"/>`,
+    '</worksheet>'
+  ].join("");
+}
+
+// Sheet names: max 31 chars, no []:*?/\ , unique
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((s, i) => {
+    let base = String(s.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, "_").slice(0, 31) || `Sheet${i + 1}`;
+    let name = base, n = 2;
+    while (used.has(name.toLowerCase())) name = base.slice(0, 28) + "_" + n++;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/** Writes an .xlsx workbook; sheets: [{ name, headers, rows }] (rows are arrays in header order). */
+function writeXlsx(file, sheets) {
+  const names = sheetNames(sheets);
+  const entries = [
+    { name: "[Content_Types].xml", data: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+      '<Default Extension="xml" ContentType="application/xml"/>',
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+      ...sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`),
+      '</Types>'
+    ].join("") },
+    { name: "_rels/.rels", data: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+      '</Relationships>'
+    ].join("") },
+    { name: "xl/workbook.xml", data: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+      '<sheets>', names.map((n, i) => `<sheet name="${xml(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join(""), '</sheets>',
+      '<definedNames>', sheets.map((s, i) =>
+        `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${xml(names[i].replace(/'/g, "''"))}'!$A$1:$${colName(Math.max(0, s.headers.length - 1))}$${s.rows.length + 1}</definedName>`).join(""),
+      '</definedNames>',
+      '</workbook>'
+    ].join("") },
+    { name: "xl/_rels/workbook.xml.rels", data: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+      ...sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`),
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`,
+      '</Relationships>'
+    ].join("") },
+    { name: "xl/styles.xml", data: [
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>',
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>',
+      '</styleSheet>'
+    ].join("") },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s) }))
+  ];
+  fs.writeFileSync(file, zip(entries));
+}
+
+// ===== Reading =====
+const unxml = s => String(s)
+  .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+  .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+  .replace(/_x([0-9A-F]{4})_/g, (_, h) => String.fromCharCode(parseInt(h, 16)));   // Excel's escape for control characters
+
+const attrs = tag => Object.fromEntries([...String(tag).matchAll(/([\w:]+)="([^"]*)"/g)].map(m => [m[1], unxml(m[2])]));
+// Text of the <t> runs (phonetic <rPh> hints left out)
+const runsText = x => unxml(String(x).replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>|<t\b[^>]*\/>/g)?.map(t => t.replace(/<[^>]+>/g, '')).join('') || '');
+
+// "AB12" -> 27 (0-based column)
+const colIndex = ref => [...String(ref).replace(/\d+$/, '').toUpperCase()].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+function isDateFormat(id, code) {
+  if (DATE_FORMAT_IDS.has(id)) return true;
+  if (!code) return false;
+  const bare = code.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '').replace(/\\./g, '');
+  return /[dmyhs]/i.test(bare) && !/^general$/i.test(bare);
+}
+
+// number format index per cell style: [{ id, code }]
+function cellFormats(stylesXml) {
+  if (!stylesXml) return [];
+  const custom = new Map([...stylesXml.matchAll(/<numFmt\b[^>]*>/g)].map(m => { const a = attrs(m[0]); return [Number(a.numFmtId), a.formatCode]; }));
+  const xfs = (stylesXml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/) || [''])[0];
+  return [...xfs.matchAll(/<xf\b[^>]*>/g)].map(m => { const id = Number(attrs(m[0]).numFmtId || 0); return { id, code: custom.get(id) || '' }; });
+}
+
+const pad2 = n => String(n).padStart(2, '0');
+function excelDate(serial, date1904) {
+  const ms = Math.round((serial + (date1904 ? 1462 : 0)) * 86400000) + Date.UTC(1899, 11, 30);
+  const d = new Date(ms);
+  const day = `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  const time = `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())}`;
+  if (serial < 1) return time;                         // time only
+  return Number.isInteger(serial) ? day : `${day} ${time}`;
+}
+
+function numberText(raw, fmt, date1904) {
+  const v = Number(raw);
+  if (!Number.isFinite(v)) return raw;
+  if (fmt && isDateFormat(fmt.id, fmt.code)) return excelDate(v, date1904);
+  if (fmt && /^0+$/.test(fmt.code) && Number.isInteger(v) && v >= 0) return String(v).padStart(fmt.code.length, '0');
+  return String(Number(v.toPrecision(15)));            // 0.30000000000000004 -> "0.3"
+}
+
+/** One sheet of an .xlsx file as rows of text; opts.sheet = sheet name (default: first sheet). */
+function readXlsx(file, opts = {}) {
+  if (/\.xls$/i.test(file)) throw new Error(`${file}: legacy .xls workbooks are not supported, save it as .xlsx or CSV`);
+  let parts;
+  try { parts = unzip(fs.readFileSync(file)); }
+  catch (e) { throw new Error(`${file}: not a readable .xlsx workbook (${e.message})`); }
+  const text = name => parts.has(name) ? parts.get(name).toString("utf8") : null;
+
+  const workbook = text("xl/workbook.xml");
+  if (!workbook) throw new Error(`${file}: xl/workbook.xml missing, not an .xlsx workbook`);
+  const rels = new Map([...(text("xl/_rels/workbook.xml.rels") || "").matchAll(/<Relationship\b[^>]*>/g)]
+    .map(m => attrs(m[0])).map(a => [a.Id, a.Target]));
+  const sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)].map(m => attrs(m[0]))
+    .map(a => ({ name: a.name, target: rels.get(a["r:id"]) }));
+  if (!sheets.length) throw new Error(`${file}: the workbook has no sheets`);
+
+  const wanted = opts.sheet
+    ? sheets.find(s => s.name === opts.sheet) || sheets.find(s => s.name.toLowerCase() === String(opts.sheet).toLowerCase())
+    : sheets[0];
+  if (!wanted) throw new Error(`${file}: sheet "${opts.sheet}" not found (sheets: ${sheets.map(s => s.name).join(", ")})`);
+  const sheetPath = String(wanted.target || "").startsWith("/") ? wanted.target.slice(1) : "xl/" + wanted.target;
+  const sheetXml = text(sheetPath);
+  if (!sheetXml) throw new Error(`${file}: part ${sheetPath} of sheet "${wanted.name}" missing`);
+
+  const shared = [...(text("xl/sharedStrings.xml") || "").matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>|<si\b[^>]*\/>/g)].map(m => runsText(m[1] || ""));
+  const formats = cellFormats(text("xl/styles.xml"));
+  const date1904 = /<workbookPr\b[^>]*date1904="(1|true)"/.test(workbook);
+
+  const rows = [];
+  let nextRow = 0;
+  for (const rm of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const ra = attrs(rm[1]);
+    const r = ra.r ? Number(ra.r) - 1 : nextRow;
+    nextRow = r + 1;
+    const cells = [];
+    let nextCol = 0;
+    for (const cm of (rm[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ca = attrs(cm[1]);
+      const c = ca.r ? colIndex(ca.r) : nextCol;
+      nextCol = c + 1;
+      const body = cm[2] || "";
+      const v = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = "";
+      if (ca.t === "inlineStr") value = runsText((body.match(/<is>([\s\S]*?)<\/is>/) || [])[1] || "");
+      else if (v == null) value = "";
+      else if (ca.t === "s") value = shared[Number(v)] ?? "";
+      else if (ca.t === "str" || ca.t === "e") value = unxml(v);
+      else if (ca.t === "b") value = v.trim() === "1" ? "TRUE" : "FALSE";
+      else value = numberText(v.trim(), formats[Number(ca.s || 0)], date1904);
+      cells[c] = value;
+    }
+    rows[r] = Array.from(cells, x => x ?? "");
+  }
+  return { sheet: wanted.name, sheets: sheets.map(s => s.name), rows: Array.from(rows, x => x || []) };
+}
+
+module.exports = { crc32, zip, unzip, writeXlsx, readXlsx };
@@ -0,0 +1,230 @@
+/**
+ * yaml.js
+ * -------
+ * Minimal YAML reader without npm packages, enough for suites.yaml: block mappings
+ * and sequences (by indentation, "- key: value" items included), flow lists and maps
+ * ([a, b], { a: 1 }), "double" / 'single' quoted and plain scalars, true / false /
+ * null / ~, numbers and # comments.
+ *
+ *   parseYaml(text)  -> the document as plain objects / arrays / scalars
+ *
+ * Not supported (rejected with the line number): block scalars (| and >), anchors and
+ * aliases (& and *), tags (!), multi-document streams and tab indentation.
+ */
+
+const yamlError = (message, line) => new Error(`line ${line}: ${message}`);
+
+// ===== Lines =====
+// Cuts a # comment that is not inside quotes
+function stripComment(text){
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === "\\" && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      if (i === 0 || /[\s:[{,-]/.test(text[i - 1])) quote = c;
+    } else if (c === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function toLines(text){
+  const lines = [];
+  String(text).replace(/^﻿/, "").split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const body = stripComment(raw).replace(/\s+$/, "");
+    if (!body.trim()) return;
+    const indent = body.match(/^[ \t]*/)[0];
+    if (indent.includes("\t")) throw yamlError("tabs are not allowed for indentation", line);
+    const content = body.slice(indent.length);
+    if (content === "---" && !lines.length) return;
+    if (content === "---" || content === "...") throw yamlError("only one YAML document is supported", line);
+    lines.push({ indent: indent.length, text: content, line });
+  });
+  return lines;
+}
+
+// ===== Scalars and flow collections =====
+const NUMBER = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+function plainScalar(s){
+  if (/^(true|True|TRUE)$/.test(s)) return true;
+  if (/^(false|False|FALSE)$/.test(s)) return false;
+  if (/^(null|Null|NULL|~)$/.test(s) || s === "") return null;
+  if (NUMBER.test(s)) return Number(s);
+  return s;
+}
+
+// Reads a quoted string starting at s[pos]; returns [value, next position]
+function readQuoted(s, pos, line){
+  const q = s[pos];
+  let out = "";
+  for (let i = pos + 1; i < s.length; i++) {
+    const c = s[i];
+    if (q === "'" && c === "'") {
+      if (s[i + 1] === "'") { out += "'"; i++; continue; }
+      return [out, i + 1];
+    }
+    if (q === '"' && c === '"') return [out, i + 1];
+    if (q === '"' && c === "\\") {
+      const e = s[++i];
+      const map = { n: "\n", t: "\t", r: "\r", "0": "\0", '"': '"', "\\": "\\", "/": "/" };
+      if (e === "u") { out += String.fromCharCode(parseInt(s.slice(i + 1, i + 5), 16)); i += 4; }
+      else if (e in map) out += map[e];
+      else throw yamlError(`unknown escape "\\${e}"`, line);
+      continue;
+    }
+    out += c;
+  }
+  throw yamlError("unterminated quoted string", line);
+}
+
+function parseFlow(s, line){
+  let pos = 0;
+  const ws = () => { while (pos < s.length && /\s/.test(s[pos])) pos++; };
+  const value = stops => {
+    ws();
+    const c = s[pos];
+    if (c === "[") {
+      pos++;
+      const list = [];
+      for (ws(); s[pos] !== "]"; ws()) {
+        list.push(value(",]"));
+        ws();
+        if (s[pos] === ",") pos++;
+        else if (s[pos] !== "]") throw yamlError(`expected "," or "]" in ${s}`, line);
+        ws();
+      }
+      pos++;
+      return list;
+    }
+    if (c === "{") {
+      pos++;
+      const map = {};
+      for (ws(); s[pos] !== "}"; ws()) {
+        const key = value(":,}");
+        ws();
+        if (s[pos] !== ":") throw yamlError(`expected ":" after "${key}" in ${s}`, line);
+        pos++;
+        map[key] = value(",}");
+        ws();
+        if (s[pos] === ",") pos++;
+        else if (s[pos] !== "}") throw yamlError(`expected "," or "}" in ${s}`, line);
+        ws();
+      }
+      pos++;
+      return map;
+    }
+    if (c === '"' || c === "'") {
+      const [v, next] = readQuoted(s, pos, line);
+      pos = next;
+      return v;
+    }
+    const start = pos;
+    while (pos < s.length && !stops.includes(s[pos])) pos++;
+    if (pos >= s.length) throw yamlError(`unterminated flow collection: ${s}`, line);
+    return plainScalar(s.slice(start, pos).trim());
+  };
+  const result = value("");
+  ws();
+  if (pos < s.length) throw yamlError(`unexpected text after flow collection: ${s.slice(pos)}`, line);
+  return result;
+}
+
+function parseValue(s, line){
+  if (s[0] === "[" || s[0] === "{") return parseFlow(s, line);
+  if (s[0] === '"' || s[0] === "'") {
+    const [v, next] = readQuoted(s, 0, line);
+    if (s.slice(next).trim()) throw yamlError(`unexpected text after quoted string: ${s.slice(next)}`, line);
+    return v;
+  }
+  if (s[0] === "|" || s[0] === ">") throw yamlError("block scalars (| and >) are not supported", line);
+  if (s[0] === "&" || s[0] === "*") throw yamlError("anchors and aliases (& and *) are not supported", line);
+  if (s[0] === "!") throw yamlError("tags (!) are not supported", line);
+  return plainScalar(s);
+}
+
+// ===== Block collections =====
+const isItem = text => text === "-" || text.startsWith("- ");
+// key: value  |  "key": value  |  key:
+const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'[\]{},#&*!|>-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*)|$)/;
+
+function parseBlock(lines, i, indent){
+  return isItem(lines[i].text) ? parseSequence(lines, i, indent) : parseMapping(lines, i, indent);
+}
+
+// Value of "key:" / "-" with nothing after it: the indented block below, or null
+function nestedBlock(lines, i, indent, allowSameIndentItems){
+  const next = lines[i];
+  if (next && (next.indent > indent || (allowSameIndentItems && next.indent === indent && isItem(next.text)))) {
+    return parseBlock(lines, i, next.indent);
+  }
+  return [null, i];
+}
+
+function parseSequence(lines, i, indent){
+  const list = [];
+  while (i < lines.length && lines[i].indent === indent && isItem(lines[i].text)) {
+    const { text, line } = lines[i];
+    const rest = text.slice(1).trim();
+    if (!rest) {
+      const [v, next] = nestedBlock(lines, i + 1, indent, false);
+      list.push(v);
+      i = next;
+    } else if (KEY.test(rest) && rest[0] !== "[" && rest[0] !== "{") {
+      // "- key: value" opens a mapping indented to where "key" starts
+      const offset = text.indexOf(rest);
+      lines[i] = { indent: indent + offset, text: rest, line };
+      const [v, next] = parseMapping(lines, i, indent + offset);
+      list.push(v);
+      i = next;
+    } else {
+      list.push(parseValue(rest, line));
+      i++;
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) throw yamlError("unexpected indentation", lines[i].line);
+  return [list, i];
+}
+
+function parseMapping(lines, i, indent){
+  const map = {};
+  while (i < lines.length && lines[i].indent === indent && !isItem(lines[i].text)) {
+    const { text, line } = lines[i];
+    const m = text.match(KEY);
+    if (!m) throw yamlError(`expected "key: value", got: ${text}`, line);
+    const key = /^["']/.test(m[1]) ? readQuoted(m[1], 0, line)[0] : m[1];
+    if (Object.prototype.hasOwnProperty.call(map, key)) throw yamlError(`duplicate key "${key}"`, line);
+    if (m[2] != null && m[2] !== "") {
+      map[key] = parseValue(m[2], line);
+      i++;
+    } else {
+      const [v, next] = nestedBlock(lines, i + 1, indent, true);
+      map[key] = v;
+      i = next;
+    }
+  }
+  if (i < lines.length && lines[i].indent > indent) throw yamlError("unexpected indentation", lines[i].line);
+  return [map, i];
+}
+
+function parseYaml(text){
+  const lines = toLines(text);
+  if (!lines.length) return null;
+  if (lines[0].indent !== 0) throw yamlError("the document must start at column 1", lines[0].line);
+  const first = lines[0].text;
+  // a lone scalar / flow document
+  if (!isItem(first) && !KEY.test(first)) {
+    if (lines.length > 1) throw yamlError(`expected "key: value", got: ${first}`, lines[0].line);
+    return parseValue(first, lines[0].line);
+  }
+  const [value, next] = parseBlock(lines, 0, 0);
+  if (next < lines.length) throw yamlError(`unexpected text: ${lines[next].text}`, lines[next].line);
+  return value;
+}
+
+module.exports = { parseYaml };
@@ -0,0 +1,41 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { caseKey, scoreFlakiness } = require("../scripts/flaky");
+
+// One Newman execution of the Origin request; the body holds the run's own date
+const origin = (iteration, day, failed) => ({
+  item: { name: "Flight search with origin and destination" },
+  cursor: { iteration },
+  request: { method: "POST", url: "https://test.example.com/search", body: { mode: "raw", raw: `{"beginDate":"2026-10-${day}"}` } },
+  assertions: [{ assertion: "Status code is 200", ...(failed ? { error: { message: "expected 500 to equal 200" } } : {}) }]
+});
+const summary = (day, failed) => ({ run: { executions: [origin(0, day, failed), origin(1, day, false)] } });
+
+test("the key is API + data row, whatever the request body held", () => {
+  assert.equal(caseKey(origin(1, "20", false)), "Flight search with origin and destination|2");
+  assert.equal(caseKey(origin(1, "20", false)), caseKey(origin(1, "21", true)));
+  assert.notEqual(caseKey(origin(0, "20", false)), caseKey(origin(1, "20", false)));
+});
+
+test("a case whose body changes every day still builds a cross-run score", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "flaky-"));
+  try {
+    const file = day => {
+      const f = path.join(dir, "Reports", `2026-10-${day}`, `summary_Flight_202610${day}_120000.json`);
+      fs.mkdirSync(path.dirname(f), { recursive: true });
+      return f;
+    };
+    [["16", false], ["17", true], ["18", false]].forEach(([day, failed]) => fs.writeFileSync(file(day), JSON.stringify(summary(day, failed))));
+    const scores = scoreFlakiness(summary("19", true), file("19"));
+    const row1 = scores.get("Flight search with origin and destination|1");
+    assert.deepEqual([row1.runs, row1.flips, row1.score, row1.flaky], [4, 3, 1, true]);
+    const row2 = scores.get("Flight search with origin and destination|2");
+    assert.deepEqual([row2.runs, row2.flaky], [4, false]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
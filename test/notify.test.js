@@ -0,0 +1,112 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { isDue } = require("../scripts/notify");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "notify.js");
+
+// Local webhook stub on 127.0.0.1: records path and JSON body of every POST
+function webhookStub() {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => body += c);
+    req.on("end", () => {
+      posts.push({ method: req.method, path: req.url, type: req.headers["content-type"], body: JSON.parse(body) });
+      res.writeHead(200).end("1");
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve({ server, url: `http://127.0.0.1:${server.address().port}`, posts })));
+}
+
+const run = (runId, fail, gatesPassed) => ({
+  runId, date: "2026-10-19",
+  grand: { apis: { unique: 4, passed: fail ? 3 : 4, failed: fail ? 1 : 0 }, apiPct: fail ? 75 : 100, cases: { total: 10, pass: 10 - fail, fail }, casePct: 100 - 10 * fail },
+  parents: { "EY.COM": { casePct: 100 - 10 * fail, cases: { total: 10, fail } } },
+  ...(gatesPassed == null ? {} : { gates: { passed: gatesPassed } })
+});
+
+// Project with notify.json (one hook per policy), the current run-summary.json and a
+// history whose last record is the current run, as combine-email-report.js leaves it
+function project(stubUrl, previous, current) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "notify-"));
+  const day = path.join(root, "EmailReports", current.date);
+  fs.mkdirSync(day, { recursive: true });
+  fs.mkdirSync(path.join(root, "History"));
+  fs.writeFileSync(path.join(root, "notify.json"), JSON.stringify({
+    title: "Digital API Automation",
+    reportUrl: "https://reports.example.com/{date}/report.html",
+    webhooks: [
+      { type: "teams", urlEnv: "TEST_TEAMS_URL", policy: "always" },
+      { type: "slack", url: `${stubUrl}/slack-failure`, policy: "failure" },
+      { type: "slack", url: `${stubUrl}/slack-change`, policy: "change" }
+    ]
+  }));
+  fs.writeFileSync(path.join(day, "run-summary.json"), JSON.stringify({ ...current, failingApis: [] }));
+  fs.writeFileSync(path.join(root, "History", "run-history.jsonl"), [previous, current].map(r => JSON.stringify({ version: 1, ...r })).join("\n") + "\n");
+  return root;
+}
+
+function notify(root, stubUrl) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, "--date", "2026-10-19"], { env: { ...process.env, PROJECT_ROOT: root, TEST_TEAMS_URL: `${stubUrl}/teams` }, timeout: 20000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+test("isDue: failure only on FAILED, change only when the status differs or there is no previous run", () => {
+  assert.equal(isDue("always", "PASSED", "PASSED"), true);
+  assert.equal(isDue("failure", "PASSED", "FAILED"), false);
+  assert.equal(isDue("failure", "FAILED", "FAILED"), true);
+  assert.equal(isDue("change", "FAILED", "FAILED"), false);
+  assert.equal(isDue("change", "PASSED", "FAILED"), true);
+  assert.equal(isDue("change", "FAILED", null), true);
+});
+
+test("a fixed run posts the Teams card and the change card, not the failure one", async () => {
+  const stub = await webhookStub();
+  const root = project(stub.url, run("r1", 2), run("r2", 0));
+  try {
+    const r = await notify(root, stub.url);
+    assert.equal(r.code, 0, r.stderr);
+    assert.match(r.stdout, /Run status: PASSED \(previous run: FAILED\)/);    // previousRun skips the current run
+    assert.deepEqual(stub.posts.map(p => p.path), ["/teams", "/slack-change"]);
+    assert.ok(stub.posts.every(p => p.method === "POST" && p.type === "application/json"));
+
+    const teams = stub.posts[0].body;
+    assert.equal(teams.type, "message");
+    const [att] = teams.attachments;
+    assert.equal(att.contentType, "application/vnd.microsoft.card.adaptive");
+    assert.equal(att.content.type, "AdaptiveCard");
+    assert.equal(att.content.body[1].text, "PASSED (was FAILED)");
+    assert.deepEqual(att.content.actions, [{ type: "Action.OpenUrl", title: "Open report", url: "https://reports.example.com/2026-10-19/report.html" }]);
+
+    const slack = stub.posts[1].body;
+    assert.equal(slack.text, "Digital API Automation — 2026-10-19: PASSED (was FAILED)");
+    assert.deepEqual(slack.blocks.map(b => b.type), ["header", "section", "section", "section", "actions"]);
+    assert.match(slack.blocks[1].text.text, /^:white_check_mark: \*PASSED/);
+  } finally {
+    stub.server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("a run that only fails its quality gates is FAILED: the failure hook posts, change stays quiet", async () => {
+  const stub = await webhookStub();
+  const root = project(stub.url, run("r1", 2), run("r2", 0, false));
+  try {
+    const r = await notify(root, stub.url);
+    assert.equal(r.code, 0, r.stderr);
+    assert.deepEqual(stub.posts.map(p => p.path), ["/teams", "/slack-failure"]);
+    assert.match(stub.posts[1].body.blocks[1].text.text, /^:x: \*FAILED\*/);
+    assert.match(r.stdout, /webhook #3 \(slack\): skipped, policy "change"/);
+  } finally {
+    stub.server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
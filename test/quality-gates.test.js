@@ -0,0 +1,94 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadGates, evaluateGates, gatesFailed, runStatus } = require("../scripts/quality-gates");
+
+const facts = (over = {}) => ({
+  apis: { unique: 10, passed: 9 },
+  cases: { total: 100, fail: 5 },
+  parents: { "EY.COM": { failed: 3 }, "Other": { failed: 6 } },
+  sla: { within: 90, cases: 100 },
+  newFailures: [],
+  suites: null,
+  ...over
+});
+const byGate = results => Object.fromEntries(results.map(r => [r.gate, r]));
+
+test("pass % thresholds pass at the threshold and fail just below it", () => {
+  const at = byGate(evaluateGates({ minApiPassPct: 90, minCasePassPct: 95 }, facts()));
+  assert.equal(at["Pass API %"].status, "pass");
+  assert.equal(at["Pass Test Case %"].status, "pass");
+
+  const below = byGate(evaluateGates({ minApiPassPct: 90.1, minCasePassPct: 95.5 }, facts()));
+  assert.equal(below["Pass API %"].status, "fail");
+  assert.equal(below["Pass Test Case %"].status, "fail");
+});
+
+test("an actual value is never rounded up to the threshold", () => {
+  // 199 of 200 = 99.5%: shown as 99.5%, and fails a 100% gate
+  const [r] = evaluateGates({ minCasePassPct: 100 }, facts({ cases: { total: 200, fail: 1 } }));
+  assert.equal(r.actual, "99.5%");
+  assert.equal(r.status, "fail");
+});
+
+test("gates that cannot be measured are N/A and do not fail the run", () => {
+  const results = evaluateGates(
+    { minApiPassPct: 90, minCasePassPct: 90, minWithinSlaPct: 90, noNewFailures: true },
+    facts({ apis: { unique: 0, passed: 0 }, cases: { total: 0, fail: 0 }, sla: null, newFailures: null })
+  );
+  assert.deepEqual(results.map(r => r.status), ["n/a", "n/a", "n/a", "n/a"]);
+  assert.equal(gatesFailed(results), false);
+});
+
+test("maxFailedPerParent: a parent's own limit wins over the default", () => {
+  const results = evaluateGates({ maxFailedPerParent: { default: 5, "EY.COM": 2 } }, facts());
+  const r = byGate(results);
+  assert.equal(r["Failed Test Cases — EY.COM"].status, "fail");     // 3 > 2
+  assert.equal(r["Failed Test Cases — Other"].status, "fail");      // 6 > 5
+  assert.equal(byGate(evaluateGates({ maxFailedPerParent: { default: 6, "EY.COM": 3 } }, facts()))["Failed Test Cases — EY.COM"].status, "pass");
+});
+
+test("maxFailedPerParent without a default only checks the listed parents", () => {
+  const results = evaluateGates({ maxFailedPerParent: { "EY.COM": 3 } }, facts());
+  assert.deepEqual(results.map(r => r.gate), ["Failed Test Cases — EY.COM"]);
+  assert.equal(results[0].status, "pass");
+});
+
+test("noNewFailures fails on any new failure and lists it", () => {
+  const [r] = evaluateGates({ noNewFailures: true }, facts({ newFailures: [{ parent: "EY.COM", module: "Flight", api: "Search" }] }));
+  assert.equal(r.status, "fail");
+  assert.match(r.detail, /EY\.COM \/ Flight \/ Search/);
+});
+
+test("a suite without a result fails the gates even with no gates configured", () => {
+  const results = evaluateGates({}, facts({ suites: { expected: 2, missing: ["EY.COM/Flight_Number_Search"] } }));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].status, "fail");
+  assert.equal(results[0].actual, "1 of 2");
+  assert.equal(gatesFailed(evaluateGates({}, facts({ suites: { expected: 2, missing: [] } }))), false);
+});
+
+test("runStatus: a failed gate fails a run without failed test cases", () => {
+  const passing = { grand: { cases: { total: 10, fail: 0 } } };
+  assert.equal(runStatus(passing), "PASSED");
+  assert.equal(runStatus({ ...passing, gates: { passed: true } }), "PASSED");
+  assert.equal(runStatus({ ...passing, gates: { passed: false } }), "FAILED");
+  assert.equal(runStatus({ grand: { cases: { total: 10, fail: 1 } }, gates: { passed: true } }), "FAILED");
+});
+
+test("loadGates: no file means no gates, a number applies to every parent, bad values throw", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gates-"));
+  try {
+    assert.equal(loadGates(dir), null);
+    fs.writeFileSync(path.join(dir, "gates.json"), JSON.stringify({ maxFailedPerParent: 4 }));
+    assert.deepEqual(loadGates(dir).maxFailedPerParent, { default: 4 });
+    fs.writeFileSync(path.join(dir, "gates.json"), JSON.stringify({ minApiPassPct: 120, maxFailedPerParent: { "EY.COM": -1 } }));
+    assert.throws(() => loadGates(dir), /minApiPassPct.*maxFailedPerParent/);
+    assert.throws(() => loadGates(dir, "missing.json"), /not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
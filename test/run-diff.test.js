@@ -0,0 +1,42 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { apiStatus, diffApiMaps, diffCount } = require("../scripts/run-diff");
+
+const PASS = { pass: 3, fail: 0, total: 3 };
+const FAIL = { pass: 2, fail: 1, total: 3 };
+const NONE = { pass: 0, fail: 0, total: 0 };
+const keys = list => list.map(e => e.key);
+
+test("apiStatus: fail wins, nothing executed is none", () => {
+  assert.equal(apiStatus(PASS), "pass");
+  assert.equal(apiStatus(FAIL), "fail");
+  assert.equal(apiStatus(NONE), "none");
+  assert.equal(apiStatus(null), "none");
+});
+
+test("diffApiMaps sorts every API into one section", () => {
+  const base = { "P|M|a": PASS, "P|M|b": FAIL, "P|M|c": FAIL, "P|M|gone": PASS, "P|M|idle": FAIL };
+  const current = { "P|M|a": FAIL, "P|M|b": PASS, "P|M|c": FAIL, "P|M|new": FAIL, "P|M|idle": NONE };
+  const d = diffApiMaps(base, current);
+  assert.deepEqual(keys(d.newFailures), ["P|M|a"]);
+  assert.deepEqual(keys(d.fixed), ["P|M|b"]);
+  assert.deepEqual(keys(d.stillFailing), ["P|M|c"]);
+  assert.deepEqual(keys(d.newApis), ["P|M|new"]);
+  assert.deepEqual(keys(d.removedApis), ["P|M|gone"]);
+  assert.equal(diffCount(d), 5);              // "idle" did not run: neither fixed nor failing
+});
+
+test("diffApiMaps keeps '|' inside API names and carries before / after", () => {
+  const d = diffApiMaps({ "P|M|GET a|b": PASS }, { "P|M|GET a|b": FAIL });
+  assert.equal(d.newFailures.length, 1);
+  const e = d.newFailures[0];
+  assert.deepEqual([e.parent, e.module, e.api], ["P", "M", "GET a|b"]);
+  assert.deepEqual([e.before, e.after], [PASS, FAIL]);
+});
+
+test("diffApiMaps without a baseline lists everything as new", () => {
+  const d = diffApiMaps(null, { "P|M|a": PASS, "P|M|b": FAIL });
+  assert.deepEqual(keys(d.newApis), ["P|M|a", "P|M|b"]);
+  assert.equal(d.newFailures.length + d.fixed.length + d.removedApis.length, 0);
+});
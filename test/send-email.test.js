@@ -0,0 +1,115 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { sendMail } = require("../scripts/send-email");
+
+const SCRIPT = path.join(__dirname, "..", "scripts", "send-email.js");
+
+// Local SMTP sink on 127.0.0.1: records the commands, AUTH credentials, recipients and
+// the raw DATA lines (still dot-stuffed) of every session
+function smtpSink(auth = "PLAIN LOGIN") {
+  const got = { commands: [], auth: null, rcpt: [], data: [] };
+  const server = net.createServer(socket => {
+    let buffer = "", inData = false, login = null;
+    const reply = line => socket.write(line + "\r\n");
+    reply("220 sink ESMTP");
+    socket.on("data", chunk => {
+      buffer += chunk.toString("utf8");
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (inData) {
+          if (line === ".") { inData = false; reply("250 queued"); }
+          else got.data.push(line);
+          continue;
+        }
+        if (login) {
+          login.push(Buffer.from(line, "base64").toString("utf8"));
+          if (login.length === 2) { got.auth = { mech: "LOGIN", user: login[0], pass: login[1] }; login = null; reply("235 ok"); }
+          else reply("334 UGFzc3dvcmQ6");
+          continue;
+        }
+        got.commands.push(line.split(" ")[0].toUpperCase());
+        if (/^EHLO /i.test(line)) reply(`250-sink\r\n250 AUTH ${auth}`);
+        else if (/^AUTH PLAIN /i.test(line)) {
+          const [, user, pass] = Buffer.from(line.slice(11), "base64").toString("utf8").split("\0");
+          got.auth = { mech: "PLAIN", user, pass };
+          reply("235 ok");
+        }
+        else if (/^AUTH LOGIN$/i.test(line)) { login = []; reply("334 VXNlcm5hbWU6"); }
+        else if (/^RCPT TO:/i.test(line)) { got.rcpt.push(line.match(/<([^>]*)>/)[1]); reply("250 ok"); }
+        else if (/^DATA$/i.test(line)) { inData = true; reply("354 go ahead"); }
+        else if (/^QUIT$/i.test(line)) { reply("221 bye"); socket.end(); }
+        else reply("250 ok");
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve({ server, port: server.address().port, got })));
+}
+
+function runScript(root, args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], { env: { ...process.env, PROJECT_ROOT: root, ...env }, timeout: 20000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+test("mails the run: AUTH PLAIN, per-parent recipients and the subject template", async () => {
+  const sink = await smtpSink();
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "mail-"));
+  try {
+    const day = path.join(root, "EmailReports", "2026-10-19");
+    fs.mkdirSync(day, { recursive: true });
+    fs.writeFileSync(path.join(root, "mail.json"), JSON.stringify({
+      smtp: { host: "127.0.0.1", port: sink.port, starttls: false, user: "qa-bot", passEnv: "TEST_SMTP_PASSWORD", timeoutSec: 10 },
+      from: "API Automation <qa-bot@example.com>",
+      to: ["qa-team@example.com"],
+      parents: {
+        "EY.COM": { to: ["ey-owners@example.com"], cc: ["ey-leads@example.com"] },
+        "Other": { to: ["other-owners@example.com"] }
+      },
+      subject: "[{status}] {title} {date} {casePct}% ({failed} failed, {parents})"
+    }));
+    fs.writeFileSync(path.join(day, "run-summary.json"), JSON.stringify({
+      date: "2026-10-19",
+      grand: { casePct: 100, cases: { total: 12, pass: 12, fail: 0 } },
+      parents: { "EY.COM": {} },
+      gates: { passed: false },
+      suites: [], files: {}
+    }));
+    fs.writeFileSync(path.join(day, "EmailBody_Inline.html"), "<p>body</p>");
+    fs.writeFileSync(path.join(day, "Digital Api Automation Report.html"), "<p>report</p>");
+
+    const r = await runScript(root, ["--date", "2026-10-19"], { TEST_SMTP_PASSWORD: "s3cret" });
+    assert.equal(r.code, 0, r.stderr);
+    assert.deepEqual(sink.got.auth, { mech: "PLAIN", user: "qa-bot", pass: "s3cret" });
+    assert.deepEqual(sink.got.rcpt, ["qa-team@example.com", "ey-owners@example.com", "ey-leads@example.com"]);
+    // a failed quality gate makes the run FAILED even with no failed test case
+    assert.ok(sink.got.data.includes("Subject: [FAILED] Digital API Automation 2026-10-19 100% (0 failed, EY.COM)"));
+    assert.ok(sink.got.data.some(l => /^Content-Disposition: attachment; filename="Digital Api Automation Report.html"$/.test(l)));
+    assert.ok(!r.stdout.includes("s3cret") && !r.stderr.includes("s3cret"));
+  } finally {
+    sink.server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test("sendMail dot-stuffs lines that start with '.' and falls back to AUTH LOGIN", async () => {
+  const sink = await smtpSink("LOGIN");
+  try {
+    const message = "Subject: dots\r\n\r\n.leading dot\n..two dots\r\nlast line";
+    await sendMail({ host: "127.0.0.1", port: sink.port, starttls: false, user: "qa-bot", pass: "pw", timeoutSec: 10 },
+      { from: "qa-bot@example.com", to: ["a@example.com"] }, message);
+    assert.deepEqual(sink.got.auth, { mech: "LOGIN", user: "qa-bot", pass: "pw" });
+    assert.deepEqual(sink.got.data, ["Subject: dots", "", "..leading dot", "...two dots", "last line"]);
+    assert.deepEqual(sink.got.commands, ["EHLO", "AUTH", "MAIL", "RCPT", "DATA", "QUIT"]);
+  } finally {
+    sink.server.close();
+  }
+});
@@ -0,0 +1,62 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadManifest } = require("../scripts/suite-manifest");
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+  try { return fn(dir); } finally { fs.rmSync(dir, { recursive: true, force: true }); }
+}
+
+const YAML = [
+  "# Suite manifest",
+  "autoDiscover: false",
+  "concurrency: 2",
+  "defaults:",
+  "  slaMs: 800",
+  "suites:",
+  "  - path: EY.COM/Flight_Number_Search",
+  "    title: 'Flight # Search'      # quoted, so not a comment",
+  "    tags: [flight-status, \"smoke\"]",
+  "    requiredEnv:",
+  "    - baseURL",
+  "    - was-secret",
+  "    lint: { no-tests: off, maxDepth: 2 }",
+  "  - path: EY.COM/Other",
+  "    enabled: false",
+  ""
+].join("\n");
+
+test("suites.yaml gives the same manifest as the equivalent suites.json", () => withTmp(dir => {
+  fs.writeFileSync(path.join(dir, "suites.yaml"), YAML);
+  const m = loadManifest(dir);
+  assert.equal(path.basename(m.file), "suites.yaml");
+  assert.deepEqual(m.problems, []);
+  assert.equal(m.concurrency, 2);
+  assert.equal(m.suites.length, 2);
+  const [flight, other] = m.suites;
+  assert.equal(flight.title, "Flight # Search");
+  assert.equal(flight.slaMs, 800);
+  assert.deepEqual(flight.tags, ["flight-status", "smoke"]);
+  assert.deepEqual(flight.requiredEnv, ["baseURL", "was-secret"]);
+  assert.deepEqual(flight.lint, { "no-tests": "off", maxDepth: 2 });
+  assert.equal(other.enabled, false);
+}));
+
+test("suites.json wins over suites.yaml; --manifest picks the parser by extension", () => withTmp(dir => {
+  fs.writeFileSync(path.join(dir, "suites.yaml"), YAML);
+  fs.writeFileSync(path.join(dir, "suites.json"), JSON.stringify({ suites: [{ path: "EY.COM/Json" }] }));
+  assert.deepEqual(loadManifest(dir).suites.map(s => s.path), ["EY.COM/Json"]);
+  fs.writeFileSync(path.join(dir, "ci.yml"), "suites:\n  - path: EY.COM/Ci\n");
+  assert.deepEqual(loadManifest(dir, "ci.yml").suites.map(s => s.path), ["EY.COM/Ci"]);
+}));
+
+test("unsupported or broken YAML is a manifest problem with the line number", () => withTmp(dir => {
+  fs.writeFileSync(path.join(dir, "suites.yml"), "suites:\n  - path: &p EY.COM/Flight\n");
+  assert.match(loadManifest(dir).problems[0], /Manifest is not valid YAML: .*suites\.yml \(line 2: anchors/);
+  fs.writeFileSync(path.join(dir, "suites.yml"), "suites:\n  - path: a\n   title: b\n");
+  assert.match(loadManifest(dir).problems[0], /line 3: unexpected indentation/);
+}));
@@ -0,0 +1,80 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { zip, unzip, writeXlsx, readXlsx } = require("../scripts/xlsx");
+
+// The parts of a workbook as Excel saves it: shared strings (incl. rich text runs and
+// phonetic hints), styles with a date and a zero-padded number format, cell references
+// with gaps, a second sheet.
+const NS = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const EXCEL_PARTS = {
+  "[Content_Types].xml": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/></Types>',
+  "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<workbook ${NS}><workbookPr defaultThemeVersion="166925"/><sheets><sheet name="Data" sheetId="1" r:id="rId1"/><sheet name="Stage" sheetId="2" r:id="rId2"/></sheets></workbook>`,
+  "xl/_rels/workbook.xml.rels": '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/></Relationships>',
+  "xl/sharedStrings.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" count="7" uniqueCount="6">` +
+    '<si><t>FlightNumberstatusCode</t></si>' +
+    '<si><r><rPr><b/><sz val="11"/></rPr><t>Flight</t></r><r><rPr><sz val="11"/></rPr><t xml:space="preserve">NumberlangCode</t></r></si>' +
+    '<si><t>departureDate</t></si>' +
+    '<si><t>en</t><rPh sb="0" eb="2"><t>エン</t></rPh></si>' +
+    '<si><t>A &amp; B &lt;x&gt;</t></si>' +
+    '<si><t>enabled</t></si>' +
+    '</sst>',
+  "xl/styles.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="1"><numFmt numFmtId="164" formatCode="000"/></numFmts><cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>`,
+  "xl/worksheets/sheet1.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<worksheet ${NS}><dimension ref="A1:D4"/><sheetData>` +
+    '<row r="1" spans="1:4"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>5</v></c></row>' +
+    '<row r="2" spans="1:4"><c r="A2"><v>200</v></c><c r="B2" t="s"><v>3</v></c><c r="C2" s="1"><v>45909</v></c><c r="D2" t="b"><v>1</v></c></row>' +
+    '<row r="4" spans="1:4"><c r="A4" s="2"><v>7</v></c><c r="C4" t="str"><f>"x"&amp;"y"</f><v>xy</v></c><c r="D4" t="s"><v>4</v></c></row>' +
+    '</sheetData></worksheet>',
+  "xl/worksheets/sheet2.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n<worksheet ${NS}><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c></row><row r="2"><c r="A2"><v>0.30000000000000004</v></c></row></sheetData></worksheet>`
+};
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-"));
+  try { return fn(dir); } finally { fs.rmSync(dir, { recursive: true, force: true }); }
+}
+const excelFile = dir => {
+  const file = path.join(dir, "Flight.xlsx");
+  fs.writeFileSync(file, zip(Object.entries(EXCEL_PARTS).map(([name, data]) => ({ name, data }))));
+  return file;
+};
+
+test("reads shared strings, rich text runs and phonetic hints like Excel writes them", () => withTmp(dir => {
+  const { sheet, sheets, rows } = readXlsx(excelFile(dir));
+  assert.equal(sheet, "Data");
+  assert.deepEqual(sheets, ["Data", "Stage"]);
+  assert.deepEqual(rows[0], ["FlightNumberstatusCode", "FlightNumberlangCode", "departureDate", "enabled"]);
+  assert.equal(rows[1][1], "en");                       // not "enエン"
+  assert.equal(rows[3][3], "A & B <x>");
+}));
+
+test("numbers, dates, booleans, formulas and gaps", () => withTmp(dir => {
+  const { rows } = readXlsx(excelFile(dir));
+  assert.deepEqual(rows[1], ["200", "en", "2025-09-09", "TRUE"]);
+  assert.deepEqual(rows[2], []);                        // row 3 is not in the sheet
+  assert.deepEqual(rows[3], ["007", "", "xy", "A & B <x>"]);
+}));
+
+test("picks a sheet by name, case-insensitively, and names the sheets when it is missing", () => withTmp(dir => {
+  const file = excelFile(dir);
+  assert.deepEqual(readXlsx(file, { sheet: "stage" }).rows, [["FlightNumberstatusCode"], ["0.3"]]);
+  assert.throws(() => readXlsx(file, { sheet: "Prod" }), /sheet "Prod" not found \(sheets: Data, Stage\)/);
+}));
+
+test("writeXlsx output reads back", () => withTmp(dir => {
+  const file = path.join(dir, "out.xlsx");
+  writeXlsx(file, [{ name: "Results", headers: ["API", "Result", "Response (ms)"], rows: [["Search", "Pass", 120], ["Lookup", "Fail", 80]] }]);
+  assert.ok(unzip(fs.readFileSync(file)).has("xl/workbook.xml"));
+  const { sheet, rows } = readXlsx(file);
+  assert.equal(sheet, "Results");
+  assert.deepEqual(rows, [["API", "Result", "Response (ms)"], ["Search", "Pass", "120"], ["Lookup", "Fail", "80"]]);
+}));
+
+test("legacy .xls and non-zip files are rejected with a clear message", () => withTmp(dir => {
+  assert.throws(() => readXlsx(path.join(dir, "old.xls")), /legacy \.xls/);
+  const bad = path.join(dir, "bad.xlsx");
+  fs.writeFileSync(bad, "not a zip");
+  assert.throws(() => readXlsx(bad), /not a readable \.xlsx workbook/);
+}));
@@ -0,0 +1,22 @@
+// node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseYaml } = require("../scripts/yaml");
+
+test("scalars: numbers, booleans, null, quoted and plain strings", () => {
+  assert.deepEqual(
+    parseYaml("a: 1\nb: -2.5\nc: true\nd: ~\ne: '0123'\nf: \"x\\ty\"\ng: http://host:8080/p\nh: it's\n"),
+    { a: 1, b: -2.5, c: true, d: null, e: "0123", f: "x\ty", g: "http://host:8080/p", h: "it's" }
+  );
+});
+
+test("lists at the key's indentation and nested flow collections", () => {
+  assert.deepEqual(parseYaml("k:\n- a\n- { b: [1, 2] }\nnext: 1\n"), { k: ["a", { b: [1, 2] }], next: 1 });
+});
+
+test("duplicate keys and unsupported syntax are errors with the line number", () => {
+  assert.throws(() => parseYaml("a: 1\na: 2\n"), /line 2: duplicate key "a"/);
+  assert.throws(() => parseYaml("a: |\n  text\n"), /line 1: block scalars/);
+  assert.throws(() => parseYaml("a: 1\n---\nb: 2\n"), /line 2: only one YAML document/);
+  assert.throws(() => parseYaml("a:\n\tb: 1\n"), /line 2: tabs/);
+});